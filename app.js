@@ -14,7 +14,15 @@ import userRoutes from './routes/userRoutes.js';
 import reviewRoutes from './routes/reviewRoutes.js';
 import categoryRoutes from './routes/categoryRoutes.js';
 import settingRoutes from './routes/settingRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import returnRoutes from './routes/returnRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import giftCardRoutes from './routes/giftCardRoutes.js';
+import storeCreditRoutes from './routes/storeCreditRoutes.js';
+import inventoryRoutes from './routes/inventoryRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
 import { sendContactEmail } from './controllers/contactController.js';
+import { startJobs } from './jobs/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,11 +32,17 @@ const app = express();
 // If you’re behind a reverse proxy (e.g. AWS ELB), trust the first proxy
 app.set('trust proxy', 1);
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start background jobs
+connectDB().then(startJobs);
 
 // Middleware
-app.use(express.json({ limit: '10kb' }));
+app.use(express.json({
+    limit: '10kb',
+    // Keep the raw bytes for webhook signature checks (Stripe signs the exact payload)
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -90,6 +104,13 @@ app.use('/api/users', userRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/settings', settingRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/store-credit', storeCreditRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/jobs', jobRoutes);
 app.post('/api/send-email', sendContactEmail);
 
 // Health Check
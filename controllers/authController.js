@@ -1,4 +1,5 @@
 import User from '../models/User.js';
+import Cart from '../models/Cart.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
@@ -14,6 +15,7 @@ import {
     verificationEmail,
     passwordResetEmail
 } from '../utils/emailTemplates.js';
+import { GUEST_CART_COOKIE } from './cartController.js';
 
 // Helper: Set authentication cookies
 const setAuthCookies = (res, accessToken, refreshToken) => {
@@ -158,6 +160,13 @@ export const login = async (req, res) => {
 
         setAuthCookies(res, accessToken, refreshToken);
 
+        // Carry over anything added to the cart while browsing as a guest
+        const guestCartId = req.cookies?.[GUEST_CART_COOKIE];
+        if (guestCartId) {
+            await Cart.mergeGuestCart(guestCartId, user._id);
+            res.clearCookie(GUEST_CART_COOKIE, { httpOnly: true, secure: true, sameSite: 'None' });
+        }
+
         handleResponse(res, 200, 'Login successful', {
             id: user._id,
             name: user.name,
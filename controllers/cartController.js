@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Cart, { GUEST_CART_TTL_SECONDS } from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { handleResponse, handleError } from '../utils/responseHandler.js';
+import { isReorderTokenFor } from '../utils/generateToken.js';
+import { roundMoney, resolveVariant, describeLine } from '../utils/pricing.js';
+
+export const GUEST_CART_COOKIE = 'guestCartId';
+
+const guestCookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'None',
+    maxAge: GUEST_CART_TTL_SECONDS * 1000
+};
+
+// Helper: Cart lookup key for the current requester, issuing a guest cookie when needed
+const getCartOwner = (req, res) => {
+    if (req.user) return { user: req.user._id };
+
+    let guestId = req.cookies?.[GUEST_CART_COOKIE];
+    if (!guestId) {
+        guestId = crypto.randomBytes(16).toString('hex');
+        res.cookie(GUEST_CART_COOKIE, guestId, guestCookieOptions);
+    }
+    return { guestId };
+};
+
+const findOrCreateCart = async (owner) =>
+    (await Cart.findOne(owner)) || new Cart(owner);
+
+// Helper: Re-price every line against the current Product data
+const buildCartView = async (cart) => {
+    const products = await Product.find({ _id: { $in: cart.items.map(i => i.product) } })
+        .select('name price stock images variants');
+
+    // Drop lines whose product or variant has since been deleted
+    const findSellable = (item) => {
+        const product = products.find(p => p._id.equals(item.product));
+        if (!product) return null;
+        if (!product.hasVariants()) return item.variant ? null : { product, variant: null };
+
+        const variant = product.findVariant(item.variant);
+        return variant?.isActive ? { product, variant } : null;
+    };
+    const missing = cart.items.filter(i => !findSellable(i));
+    if (missing.length && !cart.isNew) {
+        cart.items = cart.items.filter(i => !missing.includes(i));
+        await cart.save();
+    }
+
+    const items = cart.items.filter(i => !missing.includes(i)).map(item => {
+        const { product, variant } = findSellable(item);
+        const price = variant ? variant.price : product.price;
+        const stock = variant ? variant.stock : product.stock;
+        return {
+            product: product._id,
+            variant: variant?._id,
+            sku: variant?.sku,
+            size: variant?.size,
+            color: variant?.color,
+            name: describeLine(product, variant),
+            image: variant?.images?.[0]?.url || product.images?.[0]?.url,
+            price,
+            quantity: item.quantity,
+            available: stock,
+            inStock: stock >= item.quantity,
+            lineTotal: roundMoney(price * item.quantity)
+        };
+    });
+
+    return {
+        _id: cart.isNew ? null : cart._id,
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal: roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0)),
+        isCheckoutReady: items.length > 0 && items.every(item => item.inStock)
+    };
+};
+
+const parseQuantity = (value) => {
+    const quantity = Number(value);
+    return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+};
+
+// @desc    Get current cart
+// @route   GET /api/cart
+// @access  Public (Guest) / Private (Users)
+export const getCart = async (req, res) => {
+    try {
+        const cart = await findOrCreateCart(getCartOwner(req, res));
+        handleResponse(res, 200, 'Cart retrieved', await buildCartView(cart));
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+// @access  Public (Guest) / Private (Users)
+export const addCartItem = async (req, res) => {
+    try {
+        const { productId, variantId } = req.body;
+        const quantity = parseQuantity(req.body.quantity ?? 1);
+        if (!productId || !quantity) return handleError(res, 400, 'Valid productId and quantity are required');
+
+        const product = await Product.findById(productId).select('name stock variants');
+        if (!product) return handleError(res, 404, 'Product not found');
+        const variant = resolveVariant(product, variantId);
+        const stock = variant ? variant.stock : product.stock;
+
+        const cart = await findOrCreateCart(getCartOwner(req, res));
+        const line = cart.findItem(product._id, variant?._id);
+        const newQuantity = (line?.quantity || 0) + quantity;
+
+        if (newQuantity > stock) {
+            return handleError(res, 409, `Insufficient stock for ${describeLine(product, variant)}. Available: ${stock}`);
+        }
+
+        cart.setItemQuantity(product._id, newQuantity, variant?._id);
+        await cart.save();
+
+        handleResponse(res, 200, 'Item added to cart', await buildCartView(cart));
+    } catch (error) {
+        if (error.name === 'CastError') return handleError(res, 400, 'Invalid product ID');
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Update cart item quantity
+// @route   PUT /api/cart/items/:productId?variantId=
+// @access  Public (Guest) / Private (Users)
+export const updateCartItem = async (req, res) => {
+    try {
+        const quantity = parseQuantity(req.body.quantity);
+        if (!quantity) return handleError(res, 400, 'Quantity must be a positive whole number');
+
+        const cart = await Cart.findOne(getCartOwner(req, res));
+        const line = cart?.findItem(req.params.productId, req.query.variantId);
+        if (!line) return handleError(res, 404, 'Item not found in cart');
+
+        const product = await Product.findById(line.product).select('name stock variants');
+        const variant = line.variant ? product?.findVariant(line.variant) : null;
+        const stock = variant ? variant.stock : product?.stock;
+        if (product && quantity > stock) {
+            return handleError(res, 409, `Insufficient stock for ${describeLine(product, variant)}. Available: ${stock}`);
+        }
+
+        line.quantity = quantity;
+        await cart.save();
+
+        handleResponse(res, 200, 'Cart updated', await buildCartView(cart));
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:productId?variantId=
+// @access  Public (Guest) / Private (Users)
+export const removeCartItem = async (req, res) => {
+    try {
+        const cart = await Cart.findOne(getCartOwner(req, res));
+        const line = cart?.findItem(req.params.productId, req.query.variantId);
+        if (!line) return handleError(res, 404, 'Item not found in cart');
+
+        cart.items = cart.items.filter(i => i !== line);
+        await cart.save();
+
+        handleResponse(res, 200, 'Item removed from cart', await buildCartView(cart));
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Put the items of an order whose payment expired back in the cart, so it can be
+//          checked out and paid for again. Guests send the token from the expiry email.
+// @route   POST /api/cart/reorder/:orderId  { token }
+// @access  Public (Guest) / Private (Users)
+export const reorderToCart = async (req, res) => {
+    try {
+        const order = mongoose.isValidObjectId(req.params.orderId)
+            ? await Order.findById(req.params.orderId).select('user status items')
+            : null;
+        if (!order) return handleError(res, 404, 'Order not found');
+
+        const isBuyer = req.user && order.user?.equals(req.user._id);
+        if (!isBuyer && !isReorderTokenFor(req.body.token, order._id)) {
+            return handleError(res, 403, 'Unauthorized access');
+        }
+        if (order.status !== 'Payment Expired') {
+            return handleError(res, 400, 'Only orders whose payment expired can be placed again');
+        }
+
+        // At least the ordered quantity per line, so following the link twice adds nothing
+        const cart = await findOrCreateCart(getCartOwner(req, res));
+        order.items.forEach(item => {
+            const line = cart.findItem(item.product, item.variant);
+            cart.setItemQuantity(item.product, Math.max(line?.quantity || 0, item.quantity), item.variant);
+        });
+        await cart.save();
+
+        handleResponse(res, 200, 'Order items added to cart', await buildCartView(cart));
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Clear cart
+// @route   DELETE /api/cart
+// @access  Public (Guest) / Private (Users)
+export const clearCart = async (req, res) => {
+    try {
+        const cart = await findOrCreateCart(getCartOwner(req, res));
+        if (!cart.isNew) {
+            cart.items = [];
+            await cart.save();
+        }
+
+        handleResponse(res, 200, 'Cart cleared', await buildCartView(cart));
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
@@ -1,23 +1,48 @@
+import mongoose from 'mongoose';
 import Category from '../models/category.js';
+import Product from '../models/Product.js';
+import { deleteFromCloudinary } from '../config/cloudinary.js';
+import { getCategoryCounts, buildCategoryTree } from '../utils/categories.js';
 
 // CREATE a new category (Admin only)
 export const createCategory = async (req, res) => {
-    console.log(req.body);
+    const image = uploadedImage(req);
     try {
-        const { name, description, isActive } = req.body;
-        const category = new Category({ name, description, isActive });
+        const { name, description, isActive, parent, slug } = req.body;
+        const category = new Category({ name, description, isActive, parent: parent || null, slug, image });
         await category.save();
         res.status(201).json({ message: 'Category created successfully', category });
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        if (image) await deleteFromCloudinary(image.public_id);
+        res.status(error.statusCode || 400).json({ error: error.message });
     }
 };
 
-// READ all categories
+// READ all categories, with how many products each one holds
 export const getCategories = async (req, res) => {
     try {
         const categories = await Category.find({});
-        res.json(categories);
+        const counts = await getCategoryCounts(categories);
+        res.json(categories.map(category => ({ ...category.toObject(), ...counts.get(String(category._id)) })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// READ categories as a tree with product counts; inactive branches are left out
+// unless an admin asks for them with ?includeInactive=true
+export const getCategoryTree = async (req, res) => {
+    try {
+        const includeInactive = req.query.includeInactive === 'true' && req.user?.role === 'admin';
+
+        let categories = await Category.find({});
+        if (!includeInactive) {
+            const active = new Set(categories.filter(c => c.isActive).map(c => String(c._id)));
+            categories = categories.filter(c => active.has(String(c._id)) && c.ancestors.every(id => active.has(String(id))));
+        }
+
+        const counts = await getCategoryCounts(categories);
+        res.json(buildCategoryTree(categories, counts));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -34,29 +59,108 @@ export const getCategoryById = async (req, res) => {
     }
 };
 
-// UPDATE a category (Admin only)
+// UPDATE a category (Admin only); changing `parent` moves its subcategories along with it
 export const updateCategory = async (req, res) => {
+    const image = uploadedImage(req);
     try {
-        const { name, description, isActive } = req.body;
-        const category = await Category.findByIdAndUpdate(
-            req.params.id,
-            { name, description, isActive },
-            { new: true, runValidators: true }
-        );
-        if (!category) return res.status(404).json({ error: 'Category not found' });
+        const category = await Category.findById(req.params.id);
+        if (!category) {
+            if (image) await deleteFromCloudinary(image.public_id);
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        const previousImage = category.image?.public_id;
+        ['name', 'description', 'isActive', 'slug']
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => {
+                category[field] = req.body[field];
+            });
+        if (req.body.parent !== undefined) category.parent = req.body.parent || null;
+        if (image) category.image = image;
+
+        await category.save();
+        if (image && previousImage) await deleteFromCloudinary(previousImage);
+
         res.json({ message: 'Category updated successfully', category });
     } catch (error) {
-        res.status(400).json({ error: error.message });
+        if (image) await deleteFromCloudinary(image.public_id);
+        res.status(error.statusCode || 400).json({ error: error.message });
     }
 };
 
-// DELETE a category (Admin only)
+// DELETE a category (Admin only). Refused while products or subcategories use it, unless
+// ?reassignTo=<categoryId> names where its products go; subcategories move up to its parent.
 export const deleteCategory = async (req, res) => {
+    const session = await mongoose.startSession();
     try {
-        const category = await Category.findByIdAndDelete(req.params.id);
-        if (!category) return res.status(404).json({ error: 'Category not found' });
-        res.json({ message: 'Category deleted successfully' });
+        const { reassignTo } = req.query;
+        let result;
+
+        await session.withTransaction(async () => {
+            const category = await Category.findById(req.params.id).session(session);
+            if (!category) {
+                result = { status: 404, body: { error: 'Category not found' } };
+                return;
+            }
+
+            const [productCount, children] = await Promise.all([
+                Product.countDocuments({ categories: category._id }).session(session),
+                Category.find({ parent: category._id }).session(session)
+            ]);
+
+            if (productCount && !reassignTo) {
+                result = {
+                    status: 409,
+                    body: {
+                        error: `${productCount} product(s) are in this category; pass reassignTo to move them first`,
+                        productCount,
+                        childCount: children.length
+                    }
+                };
+                return;
+            }
+
+            if (productCount) {
+                const target = mongoose.isValidObjectId(reassignTo)
+                    && await Category.findById(reassignTo).select('ancestors').session(session);
+                if (!target || target._id.equals(category._id) || target.ancestors.some(id => id.equals(category._id))) {
+                    result = { status: 400, body: { error: 'reassignTo must be another category outside this one' } };
+                    return;
+                }
+
+                // Two steps: $addToSet and $pull cannot touch the same array in one update
+                await Product.updateMany({ categories: category._id }, { $addToSet: { categories: target._id } }, { session });
+                await Product.updateMany({ categories: category._id }, { $pull: { categories: category._id } }, { session });
+            }
+
+            // Saving each child rewrites its ancestors and those of its own subtree
+            for (const child of children) {
+                child.parent = category.parent;
+                await child.save({ session });
+            }
+
+            await Category.deleteOne({ _id: category._id }, { session });
+
+            result = {
+                status: 200,
+                body: { message: 'Category deleted successfully', reassignedProducts: productCount, movedSubcategories: children.length },
+                imageToDelete: category.image?.public_id
+            };
+        });
+
+        // Only once the delete is committed
+        if (result.imageToDelete) await deleteFromCloudinary(result.imageToDelete);
+        res.status(result.status).json(result.body);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
+    } finally {
+        await session.endSession();
     }
 };
+
+// Helper Functions
+// First uploaded file as the category image
+const uploadedImage = (req) => {
+    const file = req.files?.[0];
+    return file ? { public_id: file.filename || file.public_id, url: file.path || file.url } : undefined;
+};
@@ -1,43 +1,55 @@
+import mongoose from 'mongoose';
 import Coupon from '../models/Coupon.js';
-import User from '../models/User.js';
-import { handleResponse, handleError } from '../utils/responseHandler.js';
+import CouponBatch from '../models/CouponBatch.js';
+import Order from '../models/Order.js';
+import { handleResponse, handleError, createError } from '../utils/responseHandler.js';
+import { toCsv } from '../utils/csv.js';
+import { randomCode } from '../utils/codes.js';
+import { buildLineItems, getShippingFee, roundMoney } from '../utils/pricing.js';
+import { previewCoupon } from '../utils/couponRedemption.js';
+
+const MAX_BATCH_SIZE = 5000;
+const BATCH_PREFIX_PATTERN = /^[A-Za-z0-9-]{1,12}$/;
+const CODE_LENGTH = 8;
+const BATCH_CSV_COLUMNS = ['code', 'status', 'redeemedAt', 'redeemedBy', 'order', 'discount'];
+// What anonymous callers may see of a coupon; redemptions and customer lists stay private
+const PUBLIC_COUPON_FIELDS = [
+    'code', 'discountType', 'discountValue', 'buyQuantity', 'getQuantity', 'maxDiscount',
+    'applicableProducts', 'applicableCategories', 'firstOrderOnly', 'minPurchase', 'maxPurchase',
+    'startAt', 'expiresAt'
+].join(' ');
+
+const LEADERBOARD_SORTS = {
+    revenue: 'netRevenue',
+    redemptions: 'redemptions',
+    discount: 'totalDiscount',
+    users: 'uniqueUsers'
+};
 
 // @desc    Create new coupon
 // @route   POST /api/coupons
 // @access  Admin
 export const createCoupon = async (req, res) => {
     try {
-        const {
-            code, discountType, discountValue, minPurchase, maxPurchase,
-            maxUses, singleUse, totalCoupons, startAt, expiresAt
-        } = req.body;
+        const { code } = req.body;
 
-        if (discountType === 'percentage' && discountValue > 100) {
-            return handleError(res, 400, 'Percentage discount cannot exceed 100%');
-        }
+        const templateError = getTemplateError(req.body);
+        if (templateError) return handleError(res, 400, templateError);
 
         const existingCoupon = await Coupon.findOne({ code: code.toUpperCase() });
         if (existingCoupon) {
             return handleError(res, 400, 'Coupon code already exists');
         }
 
-        const coupon = await Coupon.create({
+        await Coupon.create({
+            ...buildCouponFields(req.body),
             code: code.toUpperCase(),
-            discountType,
-            discountValue,
-            minPurchase: minPurchase || 0,
-            maxPurchase: maxPurchase || null,
-            maxUses: maxUses || null,
-            singleUse: singleUse || false,
-            totalCoupons: totalCoupons || null,
-            startAt: startAt ? new Date(startAt) : new Date(),
-            expiresAt: new Date(expiresAt),
             isActive: true,
             usedCoupons: 0,
             usedBy: []
         });
 
-        const allCoupons = await Coupon.find().sort({ createdAt: -1 });
+        const allCoupons = await findStandaloneCoupons();
         handleResponse(res, 201, 'Coupon created successfully', allCoupons);
 
     } catch (error) {
@@ -54,8 +66,9 @@ export const getActiveCoupons = async (req, res) => {
         const coupons = await Coupon.find({
             isActive: true,
             expiresAt: { $gt: currentDate },
+            batch: null, // unique batch codes are handed out privately
             $or: [{ maxUses: { $exists: false } }, { maxUses: { $gt: 0 } }]
-        }).select('-usedBy -isActive');
+        }).select(PUBLIC_COUPON_FIELDS);
 
         handleResponse(res, 200, 'Active coupons retrieved', coupons);
     } catch (error) {
@@ -68,76 +81,44 @@ export const getActiveCoupons = async (req, res) => {
 // @access  Admin
 export const getAllCoupons = async (req, res) => {
     try {
-        const coupons = await Coupon.find().sort({ createdAt: -1 });
+        const coupons = await findStandaloneCoupons();
         handleResponse(res, 200, 'All coupons retrieved', coupons);
     } catch (error) {
         handleError(res, 500, error.message);
     }
 };
 
-// @desc    Validate coupon
+// @desc    Validate coupon (preview only; the coupon is consumed when the order is placed)
 // @route   POST /api/coupons/validate
 // @access  Private
 export const validateCoupon = async (req, res) => {
     try {
-        const { code, cartTotal } = req.body;
-        const userId = req.user._id;
-        const currentTime = new Date();
-
-        const coupon = await Coupon.findOne({ code: code.toUpperCase() });
-
-        if (!coupon || !coupon.isActive) {
-            return handleError(res, 404, 'Invalid coupon code');
-        }
+        const { code, cartTotal, items } = req.body;
+        if (!code) return handleError(res, 400, 'Coupon code is required');
 
-        if (currentTime < coupon.startAt) {
-            return handleError(res, 400, 'Coupon is not live yet');
-        }
+        // Prefer server-priced cart lines; a bare cartTotal only works for unscoped coupons
+        const lines = items?.length ? await buildLineItems(items) : undefined;
+        const subtotal = lines
+            ? lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+            : Number(cartTotal) || 0;
 
-        if (currentTime > coupon.expiresAt) {
-            return handleError(res, 400, 'Coupon has expired');
-        }
-
-        if (cartTotal < coupon.minPurchase) {
-            return handleError(res, 400, `Minimum purchase of $${coupon.minPurchase} required`);
-        }
-
-        if (coupon.maxPurchase && cartTotal > coupon.maxPurchase) {
-            return handleError(res, 400, `Maximum purchase allowed is $${coupon.maxPurchase}`);
-        }
-
-        if (coupon.usedCoupons >= coupon.totalCoupons) {
-            return handleError(res, 400, 'Coupon usage limit reached');
-        }
+        const shippingCost = await getShippingFee();
 
-        const userUsage = coupon.usedBy.find(u => u.userId.toString() === userId.toString());
-        if (userUsage && userUsage.timesUsed >= (coupon.maxUsesPerUser || 1)) {
-            return handleError(res, 400, 'Coupon usage limit reached for this user');
-        }
-
-        let discount = coupon.discountType === 'percentage'
-            ? cartTotal * (coupon.discountValue / 100)
-            : coupon.discountValue;
-
-        discount = Math.min(discount, cartTotal);
-
-        coupon.usedCoupons += 1;
-        if (userUsage) {
-            userUsage.timesUsed += 1;
-        } else {
-            coupon.usedBy.push({ userId, timesUsed: 1 });
-        }
-        await coupon.save();
+        const { coupon, discount, shippingDiscount, allocations } = await previewCoupon({
+            code, user: req.user, lines, subtotal, shippingCost
+        });
 
         handleResponse(res, 200, 'Coupon is valid', {
             valid: true,
-            discount: Number(discount.toFixed(2)),
+            discount: roundMoney(discount),
+            shippingDiscount: roundMoney(shippingDiscount),
             discountType: coupon.discountType,
-            code: coupon.code
+            code: coupon.code,
+            allocations
         });
 
     } catch (error) {
-        handleError(res, 500, error.message);
+        handleError(res, error.statusCode || 500, error.message);
     }
 };
 
@@ -158,13 +139,15 @@ export const updateCoupon = async (req, res) => {
             return handleError(res, 400, 'Coupon code cannot be changed');
         }
 
-        if (updates.discountValue && coupon.discountType === 'percentage' && updates.discountValue > 100) {
+        if (updates.discountValue && ['percentage', 'bxgy'].includes(coupon.discountType) && updates.discountValue > 100) {
             return handleError(res, 400, 'Percentage discount cannot exceed 100%');
         }
 
         const allowedUpdates = [
             'discountValue', 'minPurchase', 'maxPurchase', 'maxUses','maxUsesPerUser',
-            'singleUse', 'totalCoupons', 'startAt', 'expiresAt', 'isActive'
+            'singleUse', 'totalCoupons', 'startAt', 'expiresAt', 'isActive',
+            'maxDiscount', 'applicableProducts', 'applicableCategories',
+            'firstOrderOnly', 'allowedUsers', 'allowedEmails', 'buyQuantity', 'getQuantity'
         ];
 
         Object.keys(updates).forEach(key => {
@@ -174,7 +157,7 @@ export const updateCoupon = async (req, res) => {
         });
 
         await coupon.save();
-        const updatedCoupons = await Coupon.find().sort({ createdAt: -1 });
+        const updatedCoupons = await findStandaloneCoupons();
 
         handleResponse(res, 200, 'Coupon updated successfully', updatedCoupons);
 
@@ -197,10 +180,391 @@ export const deleteCoupon = async (req, res) => {
             return handleError(res, 404, 'Coupon not found');
         }
 
-        const remainingCoupons = await Coupon.find().sort({ createdAt: -1 });
+        const remainingCoupons = await findStandaloneCoupons();
         handleResponse(res, 200, 'Coupon deactivated successfully', remainingCoupons);
 
     } catch (error) {
         handleError(res, 500, error.message);
     }
 };
+
+// @desc    Generate a batch of unique single-use coupon codes from a template
+// @route   POST /api/coupons/batches
+// @access  Admin
+export const createCouponBatch = async (req, res) => {
+    try {
+        const { name, prefix, quantity, ...template } = req.body;
+        const count = Number(quantity);
+
+        if (!name?.trim()) return handleError(res, 400, 'Batch name is required');
+        if (!BATCH_PREFIX_PATTERN.test(prefix || '')) {
+            return handleError(res, 400, 'Prefix must be 1-12 letters, digits or dashes');
+        }
+        if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_SIZE) {
+            return handleError(res, 400, `Quantity must be between 1 and ${MAX_BATCH_SIZE}`);
+        }
+
+        const templateError = getTemplateError(template);
+        if (templateError) return handleError(res, 400, templateError);
+
+        // Every generated code can be used once, by one customer
+        const fields = { ...buildCouponFields(template), totalCoupons: 1, maxUsesPerUser: 1 };
+
+        const session = await mongoose.startSession();
+        let batch;
+        try {
+            await session.withTransaction(async () => {
+                batch = new CouponBatch({
+                    name: name.trim(),
+                    prefix,
+                    quantity: count,
+                    template: fields,
+                    createdBy: req.user._id
+                });
+                await batch.save({ session });
+
+                const codes = await generateUniqueCodes(batch.prefix, count, session);
+                await Coupon.insertMany(
+                    codes.map(code => ({ ...fields, code, batch: batch._id })),
+                    { session }
+                );
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        handleResponse(res, 201, `Generated ${count} coupon codes`, batch);
+
+    } catch (error) {
+        if (error.code === 11000) return handleError(res, 409, 'Generated codes collided, please try again');
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    List coupon batches with redemption counts
+// @route   GET /api/coupons/batches
+// @access  Admin
+export const getCouponBatches = async (req, res) => {
+    try {
+        const batches = await CouponBatch.find().sort({ createdAt: -1 }).lean();
+
+        const counts = await Coupon.aggregate([
+            { $match: { batch: { $in: batches.map(b => b._id) } } },
+            {
+                $group: {
+                    _id: '$batch',
+                    total: { $sum: 1 },
+                    redeemed: { $sum: { $cond: [{ $gt: ['$usedCoupons', 0] }, 1, 0] } },
+                    active: { $sum: { $cond: ['$isActive', 1, 0] } }
+                }
+            }
+        ]);
+
+        const result = batches.map(batch => {
+            const stats = counts.find(c => c._id.equals(batch._id)) || { total: 0, redeemed: 0, active: 0 };
+            return { ...batch, totalCodes: stats.total, redeemedCodes: stats.redeemed, activeCodes: stats.active };
+        });
+
+        handleResponse(res, 200, 'Coupon batches retrieved', result);
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    List the codes of a batch with their redemption status
+// @route   GET /api/coupons/batches/:id/coupons
+// @access  Admin
+export const getBatchCoupons = async (req, res) => {
+    try {
+        const { batch, rows } = await getBatchRows(req.params.id, req.query.status);
+        handleResponse(res, 200, 'Batch coupons retrieved', { batch, coupons: rows });
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Download the codes of a batch as CSV
+// @route   GET /api/coupons/batches/:id/export
+// @access  Admin
+export const exportBatchCoupons = async (req, res) => {
+    try {
+        const { batch, rows } = await getBatchRows(req.params.id, req.query.status);
+        const csv = toCsv(rows, BATCH_CSV_COLUMNS);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${batch.prefix}-coupons.csv"`);
+        res.status(200).send(csv);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Deactivate every code of a batch
+// @route   PUT /api/coupons/batches/:id/deactivate
+// @access  Admin
+export const deactivateCouponBatch = async (req, res) => {
+    try {
+        const batch = await findBatch(req.params.id);
+
+        const { modifiedCount } = await Coupon.updateMany(
+            { batch: batch._id, isActive: true },
+            { $set: { isActive: false } }
+        );
+        batch.isActive = false;
+        batch.deactivatedAt = new Date();
+        await batch.save();
+
+        handleResponse(res, 200, `Deactivated ${modifiedCount} coupon codes`, batch);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Performance of a single coupon
+// @route   GET /api/coupons/:code/stats?from=&to=
+// @access  Admin
+export const getCouponStats = async (req, res) => {
+    try {
+        const coupon = await Coupon.findOne({ code: req.params.code.toUpperCase() });
+        if (!coupon) return handleError(res, 404, 'Coupon not found');
+
+        const dateMatch = parseDateRange(req.query);
+
+        const [[result], withoutCoupon] = await Promise.all([
+            Order.aggregate([
+                { $match: { ...countedOrders, ...dateMatch, couponUsed: coupon._id } },
+                {
+                    $facet: {
+                        summary: [couponMetricsGroup(null), couponMetricsProjection],
+                        timeline: [
+                            couponMetricsGroup({ $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }),
+                            { $sort: { _id: 1 } },
+                            { $project: { _id: 0, date: '$_id', redemptions: 1, totalDiscount: 1, grossRevenue: 1 } }
+                        ]
+                    }
+                }
+            ]),
+            getAverageOrderValue({ ...countedOrders, ...dateMatch, couponUsed: null })
+        ]);
+
+        const summary = result.summary[0] || {
+            redemptions: 0, uniqueUsers: 0, totalDiscount: 0,
+            grossRevenue: 0, totalRefunded: 0, netRevenue: 0, averageOrderValue: 0
+        };
+
+        handleResponse(res, 200, 'Coupon stats retrieved', {
+            code: coupon.code,
+            discountType: coupon.discountType,
+            ...summary,
+            averageOrderValueWithoutCoupon: withoutCoupon,
+            timeline: result.timeline
+        });
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Coupons ranked by the revenue they drive
+// @route   GET /api/coupons/leaderboard?from=&to=&sort=revenue|redemptions|discount|users&limit=
+// @access  Admin
+export const getCouponLeaderboard = async (req, res) => {
+    try {
+        const dateMatch = parseDateRange(req.query);
+        const sortField = LEADERBOARD_SORTS[req.query.sort || 'revenue'];
+        if (!sortField) {
+            return handleError(res, 400, `sort must be one of: ${Object.keys(LEADERBOARD_SORTS).join(', ')}`);
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+        const [leaderboard, withoutCoupon] = await Promise.all([
+            Order.aggregate([
+                { $match: { ...countedOrders, ...dateMatch, couponUsed: { $ne: null } } },
+                couponMetricsGroup('$couponUsed'),
+                // Derived metrics (netRevenue, uniqueUsers) must exist before sorting on them
+                { $project: { ...couponMetricsProjection.$project, _id: 1 } },
+                { $sort: { [sortField]: -1, _id: 1 } },
+                { $limit: limit },
+                {
+                    $lookup: {
+                        from: Coupon.collection.name,
+                        localField: '_id',
+                        foreignField: '_id',
+                        as: 'coupon'
+                    }
+                },
+                { $unwind: { path: '$coupon', preserveNullAndEmptyArrays: true } },
+                {
+                    $addFields: {
+                        coupon: '$_id',
+                        code: '$coupon.code',
+                        discountType: '$coupon.discountType',
+                        batch: '$coupon.batch'
+                    }
+                },
+                { $project: { _id: 0 } }
+            ]),
+            getAverageOrderValue({ ...countedOrders, ...dateMatch, couponUsed: null })
+        ]);
+
+        handleResponse(res, 200, 'Coupon leaderboard retrieved', {
+            averageOrderValueWithoutCoupon: withoutCoupon,
+            coupons: leaderboard
+        });
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// Helper Functions
+const getTemplateError = ({ discountType, discountValue, buyQuantity, getQuantity, expiresAt }) => {
+    if (!expiresAt) return 'Expiry date is required';
+    if (['percentage', 'bxgy'].includes(discountType) && discountValue > 100) {
+        return 'Percentage discount cannot exceed 100%';
+    }
+    if (discountType === 'bxgy' && !(buyQuantity >= 1 && getQuantity >= 1)) {
+        return 'Buy-X-get-Y coupons need a buyQuantity and getQuantity of at least 1';
+    }
+    return null;
+};
+
+// Coupon document fields from a create request or batch template
+const buildCouponFields = ({
+    discountType, discountValue, minPurchase, maxPurchase,
+    maxUses, singleUse, totalCoupons, startAt, expiresAt,
+    maxDiscount, applicableProducts, applicableCategories,
+    firstOrderOnly, allowedUsers, allowedEmails, buyQuantity, getQuantity
+}) => ({
+    discountType,
+    discountValue,
+    minPurchase: minPurchase || 0,
+    maxPurchase: maxPurchase || null,
+    maxUses: maxUses || null,
+    singleUse: singleUse || false,
+    totalCoupons: totalCoupons || null,
+    startAt: startAt ? new Date(startAt) : new Date(),
+    expiresAt: new Date(expiresAt),
+    maxDiscount: maxDiscount || undefined,
+    applicableProducts: applicableProducts || [],
+    applicableCategories: applicableCategories || [],
+    firstOrderOnly: firstOrderOnly || false,
+    allowedUsers: allowedUsers || [],
+    allowedEmails: allowedEmails || [],
+    buyQuantity: discountType === 'bxgy' ? buyQuantity : undefined,
+    getQuantity: discountType === 'bxgy' ? getQuantity : undefined
+});
+
+const findStandaloneCoupons = () => Coupon.find({ batch: null }).sort({ createdAt: -1 });
+
+// Draw codes until `count` of them are free both within the batch and in the database
+const generateUniqueCodes = async (prefix, count, session) => {
+    const codes = new Set();
+    for (let attempt = 0; codes.size < count && attempt < 5; attempt++) {
+        const candidates = new Set();
+        while (candidates.size < count - codes.size) {
+            const code = `${prefix}-${randomCode(CODE_LENGTH)}`;
+            if (!codes.has(code)) candidates.add(code);
+        }
+
+        const taken = await Coupon.find({ code: { $in: [...candidates] } }).select('code').session(session);
+        const takenCodes = new Set(taken.map(c => c.code));
+        candidates.forEach(code => {
+            if (!takenCodes.has(code)) codes.add(code);
+        });
+    }
+
+    if (codes.size < count) throw createError(409, 'Could not generate enough unique codes, try a different prefix');
+    return [...codes];
+};
+
+const findBatch = async (id) => {
+    if (!mongoose.isValidObjectId(id)) throw createError(400, 'Invalid batch ID');
+    const batch = await CouponBatch.findById(id);
+    if (!batch) throw createError(404, 'Coupon batch not found');
+    return batch;
+};
+
+// One row per code; `status` is redeemed, unused or inactive
+const getBatchRows = async (id, statusFilter) => {
+    const batch = await findBatch(id);
+    const coupons = await Coupon.find({ batch: batch._id })
+        .sort({ code: 1 })
+        .populate('redemptions.user', 'name email')
+        .lean();
+
+    const rows = coupons.map(coupon => {
+        const redemption = coupon.redemptions?.[coupon.redemptions.length - 1];
+        const status = coupon.usedCoupons > 0 ? 'redeemed' : coupon.isActive ? 'unused' : 'inactive';
+        return {
+            code: coupon.code,
+            status,
+            redeemedAt: redemption?.redeemedAt,
+            redeemedBy: redemption?.user?.email,
+            order: redemption?.order?.toString(),
+            discount: redemption?.discount
+        };
+    });
+
+    return { batch, rows: statusFilter ? rows.filter(row => row.status === statusFilter) : rows };
+};
+
+// Cancelled and expired orders never brought in money
+const countedOrders = { status: { $nin: ['Cancelled', 'Payment Expired'] } };
+
+const parseDateRange = ({ from, to }) => {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    if (Object.values(range).some(date => Number.isNaN(date.getTime()))) {
+        throw createError(400, 'from and to must be valid dates');
+    }
+    return Object.keys(range).length ? { createdAt: range } : {};
+};
+
+// What the coupon took off an order; orders from before the discounts breakdown use the order total
+const couponDiscount = {
+    $let: {
+        vars: {
+            entry: {
+                $arrayElemAt: [{
+                    $filter: {
+                        input: { $ifNull: ['$discounts', []] },
+                        cond: { $eq: ['$$this.source', 'coupon'] }
+                    }
+                }, 0]
+            }
+        },
+        in: { $ifNull: [{ $add: ['$$entry.amount', '$$entry.shippingAmount'] }, { $ifNull: ['$discount', 0] }] }
+    }
+};
+
+const couponMetricsGroup = (groupBy) => ({
+    $group: {
+        _id: groupBy,
+        redemptions: { $sum: 1 },
+        users: { $addToSet: '$user' },
+        totalDiscount: { $sum: couponDiscount },
+        grossRevenue: { $sum: '$totalAmount' },
+        totalRefunded: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+    }
+});
+
+const couponMetricsProjection = {
+    $project: {
+        _id: 0,
+        redemptions: 1,
+        uniqueUsers: { $size: '$users' },
+        totalDiscount: { $round: ['$totalDiscount', 2] },
+        grossRevenue: { $round: ['$grossRevenue', 2] },
+        totalRefunded: { $round: ['$totalRefunded', 2] },
+        netRevenue: { $round: [{ $subtract: ['$grossRevenue', '$totalRefunded'] }, 2] },
+        averageOrderValue: { $round: [{ $divide: ['$grossRevenue', '$redemptions'] }, 2] }
+    }
+};
+
+const getAverageOrderValue = async (match) => {
+    const [result] = await Order.aggregate([
+        { $match: match },
+        { $group: { _id: null, average: { $avg: '$totalAmount' } } }
+    ]);
+    return result ? roundMoney(result.average) : 0;
+};
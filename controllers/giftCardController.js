@@ -0,0 +1,117 @@
+import GiftCard from '../models/GiftCard.js';
+import { handleResponse, handleError, createError } from '../utils/responseHandler.js';
+import { roundMoney } from '../utils/pricing.js';
+import { randomCode } from '../utils/codes.js';
+
+// @desc    Issue a gift card (sold in store, online or as a goodwill gesture)
+// @route   POST /api/gift-cards
+// @access  Admin
+export const issueGiftCard = async (req, res) => {
+    try {
+        const { amount, expiresAt, code, recipientEmail, purchasedBy, note } = req.body;
+        const value = roundMoney(Number(amount));
+
+        if (!(value > 0)) return handleError(res, 400, 'Gift card amount must be greater than 0');
+        const expiry = new Date(expiresAt);
+        if (!expiresAt || Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+            return handleError(res, 400, 'A future expiry date is required');
+        }
+
+        const giftCard = await GiftCard.create({
+            code: code?.trim() || await generateGiftCardCode(),
+            initialBalance: value,
+            balance: value,
+            expiresAt: expiry,
+            recipientEmail,
+            purchasedBy,
+            issuedBy: req.user._id,
+            note,
+            transactions: [{ type: 'issue', amount: value, actor: req.user._id, note }]
+        });
+
+        handleResponse(res, 201, 'Gift card issued', giftCard);
+    } catch (error) {
+        if (error.code === 11000) return handleError(res, 400, 'Gift card code already exists');
+        if (error.name === 'ValidationError') return handleError(res, 400, error.message);
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    List gift cards
+// @route   GET /api/gift-cards
+// @access  Admin
+export const getGiftCards = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, active } = req.query;
+        const filter = active === undefined ? {} : { isActive: active === 'true' };
+
+        const [giftCards, count] = await Promise.all([
+            GiftCard.find(filter)
+                .select('-transactions')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort('-createdAt'),
+            GiftCard.countDocuments(filter)
+        ]);
+
+        handleResponse(res, 200, 'Gift cards retrieved', {
+            giftCards,
+            totalPages: Math.ceil(count / limit),
+            currentPage: Number(page)
+        });
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Check a gift card's balance; admins also get its transaction log
+// @route   GET /api/gift-cards/:code
+// @access  Private
+export const getGiftCard = async (req, res) => {
+    try {
+        const giftCard = await GiftCard.findOne({ code: req.params.code.toUpperCase() })
+            .populate('transactions.order', 'totalAmount status createdAt');
+        if (!giftCard) return handleError(res, 404, 'Gift card not found');
+
+        if (req.user.role === 'admin') {
+            return handleResponse(res, 200, 'Gift card retrieved', giftCard);
+        }
+
+        handleResponse(res, 200, 'Gift card retrieved', {
+            code: giftCard.code,
+            balance: giftCard.balance,
+            expiresAt: giftCard.expiresAt,
+            usable: !giftCard.getIneligibilityReason()
+        });
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Deactivate a gift card; its remaining balance can no longer be spent
+// @route   PUT /api/gift-cards/:code/deactivate
+// @access  Admin
+export const deactivateGiftCard = async (req, res) => {
+    try {
+        const giftCard = await GiftCard.findOneAndUpdate(
+            { code: req.params.code.toUpperCase() },
+            { $set: { isActive: false } },
+            { new: true }
+        );
+        if (!giftCard) return handleError(res, 404, 'Gift card not found');
+
+        handleResponse(res, 200, 'Gift card deactivated', giftCard);
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// Helper Functions
+// Sixteen characters in groups of four, e.g. K7QM-2XRA-9PLT-HV4C
+const generateGiftCardCode = async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = randomCode(16).match(/.{4}/g).join('-');
+        if (!(await GiftCard.exists({ code }))) return code;
+    }
+    throw createError(409, 'Could not generate a unique gift card code, please try again');
+};
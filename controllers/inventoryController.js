@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Settings from '../models/settings.js';
+import InventoryMovement, { INVENTORY_REASONS } from '../models/InventoryMovement.js';
+import { handleResponse, handleError, createError } from '../utils/responseHandler.js';
+import { adjustStock, findLowStock } from '../utils/inventory.js';
+import { resolveVariant } from '../utils/pricing.js';
+import { sendLowStockDigest } from '../jobs/lowStockDigest.js';
+
+// @desc    List inventory movements, newest first
+// @route   GET /api/inventory/movements?product&variant&reason&reference&from&to
+// @access  Admin
+export const getInventoryMovements = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, product, variant, reason, reference, from, to } = req.query;
+
+        const filter = {};
+        for (const [field, value] of Object.entries({ product, variant, reference })) {
+            if (!value) continue;
+            if (!mongoose.isValidObjectId(value)) return handleError(res, 400, `Invalid ${field} id`);
+            filter[field] = value;
+        }
+        if (reason) {
+            if (!INVENTORY_REASONS.includes(reason)) {
+                return handleError(res, 400, `reason must be one of: ${INVENTORY_REASONS.join(', ')}`);
+            }
+            filter.reason = reason;
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const [movements, count] = await Promise.all([
+            InventoryMovement.find(filter)
+                .populate('product', 'name')
+                .populate('actor', 'name email')
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort('-createdAt'),
+            InventoryMovement.countDocuments(filter)
+        ]);
+
+        handleResponse(res, 200, 'Inventory movements retrieved', {
+            movements,
+            totalPages: Math.ceil(count / limit),
+            currentPage: Number(page)
+        });
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Adjust stock by hand (stock take, damage, supplier delivery)
+// @route   POST /api/inventory/adjustments
+// @access  Admin
+export const createStockAdjustment = async (req, res) => {
+    try {
+        const { productId, variantId } = req.body;
+        const delta = Number(req.body.delta);
+        const reason = req.body.reason?.trim();
+
+        if (!reason) return handleError(res, 400, 'A reason for the adjustment is required');
+        if (!Number.isInteger(delta) || delta === 0) {
+            return handleError(res, 400, 'delta must be a non-zero whole number');
+        }
+        if (!mongoose.isValidObjectId(productId)) return handleError(res, 400, 'Invalid product id');
+
+        const product = await Product.findById(productId);
+        if (!product) throw createError(404, 'Product not found');
+        const variant = resolveVariant(product, variantId);
+
+        const movement = await adjustStock({
+            product: product._id,
+            variant: variant?._id,
+            sku: variant?.sku,
+            delta,
+            actor: req.user,
+            note: reason
+        });
+
+        handleResponse(res, 201, 'Stock adjusted', movement);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Products and variants at or below their low-stock threshold
+// @route   GET /api/inventory/low-stock
+// @access  Admin
+export const getLowStock = async (req, res) => {
+    try {
+        const settings = await Settings.findOne();
+        const defaultThreshold = settings?.lowStockThreshold ?? 5;
+        const lines = await findLowStock({ defaultThreshold });
+
+        handleResponse(res, 200, 'Low stock retrieved', { defaultThreshold, count: lines.length, lines });
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Email the low-stock digest to admins now instead of waiting for the job
+// @route   POST /api/inventory/low-stock/digest
+// @access  Admin
+export const sendLowStockDigestNow = async (req, res) => {
+    try {
+        const result = await sendLowStockDigest({ force: true });
+        handleResponse(res, 200, result.lines ? 'Low stock digest sent' : 'Nothing is low on stock', result);
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
@@ -0,0 +1,17 @@
+import { handleResponse, handleError } from '../utils/responseHandler.js';
+import { JOBS } from '../jobs/index.js';
+
+// @desc    Run one background job now; the entrypoint for Vercel Cron and other schedulers
+// @route   GET /api/jobs/:name
+// @access  Cron (Authorization: Bearer CRON_SECRET)
+export const runJobNow = async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!Object.hasOwn(JOBS, name)) return handleError(res, 404, `Unknown job: ${name}`);
+
+        const result = await JOBS[name].handler();
+        handleResponse(res, 200, `Job ${name} finished`, result);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
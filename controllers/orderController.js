@@ -1,10 +1,18 @@
-import Order from '../models/Order.js';
-import Product from '../models/Product.js';
-import Coupon from '../models/Coupon.js';
-import { handleResponse, handleError } from '../utils/responseHandler.js';
-import crypto from 'crypto';
-import jwt from 'jsonwebtoken';
-import transporter from '../config/email.js';
+import Order, { CUSTOMER_CANCELLABLE_STATUSES } from '../models/Order.js';
+import Cart from '../models/Cart.js';
+import PaymentNotification from '../models/PaymentNotification.js';
+import { handleResponse, handleError, createError } from '../utils/responseHandler.js';
+import { quoteOrder } from '../utils/pricing.js';
+import { refundOrder, settleProviderRefunds, getRefundableAmount } from '../utils/refunds.js';
+import { getProvider, getEnabledProvider, getEnabledProviders } from '../utils/payments/index.js';
+import { GUEST_CART_COOKIE } from './cartController.js';
+import mongoose from 'mongoose';
+import { sendOrderEmail } from '../utils/orderEmails.js';
+import { reserveStock, releaseOrderResources } from '../utils/inventory.js';
+import { redeemCoupon } from '../utils/couponRedemption.js';
+import { applyTenders, previewTenders } from '../utils/tenders.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import { ORDER_QUERY } from '../utils/querySchemas.js';
 
 // Helper: Generate rich error messages
 const validationError = (missingFields) =>
@@ -15,44 +23,85 @@ export const orderController = {
     // Create New Order
     createOrder: async (req, res) => {
         try {
-            const { items, shippingAddress, paymentMethod, couponCode, ...amounts } = req.body;
+            const { shippingAddress, paymentMethod, couponCode, cartId, giftCardCode, useStoreCredit } = req.body;
             const user = req.user;
 
+            // Checkout can start from a saved cart instead of a posted items array
+            const cart = cartId ? await findCheckoutCart(cartId, req) : null;
+            if (cartId && !cart) return handleError(res, 404, 'Cart not found');
+            const items = cart
+                ? cart.items.map(i => ({ id: i.product.toString(), variantId: i.variant?.toString(), quantity: i.quantity }))
+                : req.body.items;
+
             // Validate input
-            const requiredFields = ['email', 'phone', 'name', 'subtotal', 'shippingCost', 'shippingAddress', 'totalAmount'];
+            const requiredFields = ['email', 'phone', 'name', 'shippingAddress'];
 
 
             const missingFields = requiredFields.filter(field => !req.body[field]);
             if (missingFields.length > 0) return handleError(res, 400, validationError(missingFields));
             if (!items?.length) return handleError(res, 400, 'No order items specified');
 
-            // Process products and validate stock
-            const products = await Product.find({ _id: { $in: items.map(i => i.id) } });
-            const [orderItems, calculatedSubtotal] = await processOrderItems(items, products);
-
-            // Validate financials
-            validateOrderAmounts(amounts, calculatedSubtotal, res);
-
-            // Handle coupons
-            const coupon = await handleCoupon(couponCode, user, amounts.subtotal, res);
-            if (couponCode && !coupon) return; // Error already handled
-
-            // Create order document
-            const order = await createOrderDocument({
-                items: orderItems,
-                shippingAddress: buildShippingAddress(req.body, shippingAddress),
-                paymentMethod,
-                amounts,
-                user: user?._id,
-                coupon
-            });
+            const provider = await getEnabledProvider(paymentMethod);
+
+            // Price, reserve stock and place the order atomically
+            const session = await mongoose.startSession();
+            let order;
+            let payment;
+            try {
+                await session.withTransaction(async () => {
+                    const pricing = await quoteOrder({ items, couponCode, user, session });
+
+                    // Create order document
+                    order = createOrderDocument({
+                        pricing,
+                        shippingAddress: buildShippingAddress(req.body, shippingAddress),
+                        provider,
+                        user: user?._id
+                    });
+                    await reserveStock(pricing.items, session, { reference: order._id, actor: user });
+
+                    if (pricing.coupon) {
+                        await redeemCoupon({
+                            couponId: pricing.coupon._id,
+                            user,
+                            ...pricing.couponBasis,
+                            orderId: order._id,
+                            session
+                        });
+                    }
+
+                    await applyTenders(order, { giftCardCode, useStoreCredit, user, session });
+
+                    // Nothing is left to collect when balances cover the order
+                    if (order.getAmountDue() === 0 && order.status === 'Pending Payment') {
+                        order.status = 'Processing';
+                    }
 
-            // Handle payment integration
-            if (paymentMethod === 'PayFast') {
-                order.paymentResult = generatePayfastPayload(order);
+                    await order.save({ session });
+                });
+            } finally {
+                await session.endSession();
             }
 
-            await order.save();
+            // Open the provider payment only once the order has committed, so transaction
+            // retries reuse one idempotency key and an aborted commit leaves no payment behind
+            if (order.getAmountDue() > 0) {
+                try {
+                    payment = await provider.createPayment(order);
+                } catch (error) {
+                    await abandonOrder(order._id, `Payment could not be started: ${error.message}`);
+                    throw createError(502, 'Payment could not be started, please try again');
+                }
+                order.paymentResult = { id: payment.id, status: payment.status };
+                // The document is still bound to the ended session, so write the field directly
+                await Order.updateOne({ _id: order._id }, { $set: { paymentResult: order.paymentResult } });
+            }
+
+            // Keep the cart until payment has started so a failed checkout can be retried
+            if (cart) {
+                cart.items = [];
+                await cart.save();
+            }
 
             // Guest user communication
             if (!user) {
@@ -64,10 +113,33 @@ export const orderController = {
                 });
             }
 
-            handleResponse(res, 201, 'Order created successfully', order);
+            handleResponse(res, 201, 'Order created successfully', { ...order.toObject(), payment });
 
         } catch (error) {
-            handleError(res, 500, error.message);
+            handleError(res, error.statusCode || 500, error.message);
+        }
+    },
+
+    // Preview checkout pricing without placing an order
+    getOrderQuote: async (req, res) => {
+        try {
+            const { items, couponCode, giftCardCode, useStoreCredit } = req.body;
+            const { coupon, couponBasis, ...pricing } = await quoteOrder({ items, couponCode, user: req.user });
+            const { tenders, amountDue } = await previewTenders({
+                totalAmount: pricing.totalAmount,
+                giftCardCode,
+                useStoreCredit,
+                user: req.user
+            });
+
+            handleResponse(res, 200, 'Order quote calculated', {
+                ...pricing,
+                couponCode: coupon?.code,
+                tenders,
+                amountDue
+            });
+        } catch (error) {
+            handleError(res, error.statusCode || 500, error.message);
         }
     },
 
@@ -104,76 +176,265 @@ export const orderController = {
     // Get All Orders (Admin)
     getAllOrders: async (req, res) => {
         try {
-            const { page = 1, limit = 20, status } = req.query;
-            const filter = status ? { status } : {};
-
-            const [orders, count] = await Promise.all([
-                Order.find(filter)
-                    .limit(limit * 1)
-                    .skip((page - 1) * limit)
-                    .sort('-createdAt')
-                    .populate('user', 'name email'),
-                Order.countDocuments(filter)
+            const features = new APIFeatures(Order.find().populate('user', 'name email'), req.query, ORDER_QUERY)
+                .filter()
+                .sort()
+                .paginate();
+
+            const [docs, count] = await Promise.all([
+                features.query,
+                Order.countDocuments(features.filterQuery)
             ]);
+            const { items: orders, nextCursor, prevCursor } = features.paginateResults(docs);
 
             handleResponse(res, 200, 'Orders retrieved', {
                 orders,
-                totalPages: Math.ceil(count / limit),
-                currentPage: page
+                totalPages: Math.ceil(count / features.limit),
+                currentPage: features.page,
+                nextCursor,
+                prevCursor
             });
         } catch (error) {
-            handleError(res, 500, error.message);
+            handleError(res, error.statusCode || 500, error.message);
         }
     },
 
     // Update Order Status (Admin)
     updateOrderStatus: async (req, res) => {
         try {
-            const { status, trackingId } = req.body;
-            const validStatuses = ['Processing', 'Shipped', 'Delivered', 'Cancelled','Tracking'];
-
-            if (!validStatuses.includes(status)) {
-                return handleError(res, 400, 'Invalid status value');
-            }
+            const { status, trackingId, note } = req.body;
+
+            // Re-read inside the transaction, as cancelOrder does, so a concurrent cancel cannot
+            // release stock and balances twice, and nothing is released unless the save commits
+            const session = await mongoose.startSession();
+            let order;
+            let isTrackingUpdate;
+            try {
+                await session.withTransaction(async () => {
+                    order = await Order.findById(req.params.id).session(session);
+                    if (!order) throw createError(404, 'Order not found');
+
+                    if (trackingId) order.trackingId = trackingId;
+
+                    // A tracking-only update keeps the status and just notifies the customer
+                    isTrackingUpdate = trackingId && (!status || status === order.status);
+                    if (!isTrackingUpdate) {
+                        order.changeStatus(status, { actor: req.user, note });
+                    }
 
-            const order = await Order.findByIdAndUpdate(
-                req.params.id,
-                { status, ...(trackingId && { trackingId }) },
-                { new: true }
-            );
+                    // Pay-on-delivery methods are settled when the courier hands over the parcel
+                    if (status === 'Delivered' && !getProvider(order.paymentMethod).requiresPrepayment && order.getAmountDue() > 0) {
+                        order.recordTransaction({
+                            type: 'charge',
+                            amount: order.getAmountDue(),
+                            actor: req.user,
+                            note: 'Cash collected on delivery'
+                        });
+                    }
 
-            if (!order) return handleError(res, 404, 'Order not found');
+                    if (!isTrackingUpdate && status === 'Cancelled') {
+                        await releaseOrderResources(order, session, { actor: req.user });
+                    }
+                    await order.save({ session });
+                });
+            } finally {
+                await session.endSession();
+            }
 
             // Status-specific actions
-            handleStatusChange(order, status, req.user);
+            await handleStatusChange(order, isTrackingUpdate ? 'Tracking' : status, req.user);
 
             handleResponse(res, 200, 'Order updated', order);
+        } catch (error) {
+            handleError(res, error.statusCode || 500, error.message);
+        }
+    },
+
+    // Cancel Order (Customer)
+    cancelOrder: async (req, res) => {
+        try {
+            const reason = req.body.reason?.trim();
+            if (!reason) return handleError(res, 400, 'Cancellation reason is required');
+
+            // Re-read inside the transaction so concurrent cancels cannot restock twice
+            const session = await mongoose.startSession();
+            let order;
+            try {
+                await session.withTransaction(async () => {
+                    order = await Order.findById(req.params.id).session(session);
+
+                    if (!order) throw createError(404, 'Order not found');
+                    if (!authorizeOrderAccess(order, req.user)) throw createError(403, 'Unauthorized access');
+                    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status) || order.trackingId) {
+                        throw createError(400, 'Order can no longer be cancelled');
+                    }
+
+                    order.changeStatus('Cancelled', { actor: req.user, note: reason });
+                    order.cancellation = {
+                        reason,
+                        cancelledBy: req.user._id,
+                        cancelledAt: new Date()
+                    };
+                    await releaseOrderResources(order, session, { actor: req.user });
+                    await order.save({ session });
+                });
+            } finally {
+                await session.endSession();
+            }
+
+            sendOrderEmail({
+                email: order.shippingAddress.email,
+                subject: 'Order Cancellation Notice',
+                template: 'orderCancelled',
+                order
+            });
+
+            handleResponse(res, 200, 'Order cancelled', order);
+        } catch (error) {
+            handleError(res, error.statusCode || 500, error.message);
+        }
+    },
+
+    // Issue Refund (Admin)
+    refundOrder: async (req, res) => {
+        try {
+            const { amount, note, reference, toStoreCredit } = req.body;
+
+            // Balance credits and their ledger entries commit together; the gateway is called afterwards
+            const session = await mongoose.startSession();
+            let order;
+            let transactions;
+            try {
+                await session.withTransaction(async () => {
+                    order = await Order.findById(req.params.id).session(session);
+                    if (!order) throw createError(404, 'Order not found');
+
+                    transactions = await refundOrder(order, {
+                        amount,
+                        actor: req.user,
+                        note,
+                        reference,
+                        toStoreCredit: toStoreCredit === true || toStoreCredit === 'true',
+                        session
+                    });
+                    await order.save({ session });
+                });
+            } finally {
+                await session.endSession();
+            }
+
+            order = await settleProviderRefunds(order, transactions, { actor: req.user });
+            transactions = transactions.map(t => order.transactions.id(t._id));
+
+            handleResponse(res, 201, 'Refund recorded', {
+                transaction: transactions[transactions.length - 1],
+                transactions,
+                refundedAmount: order.refundedAmount,
+                refundableAmount: getRefundableAmount(order),
+                status: order.status
+            });
+        } catch (error) {
+            handleError(res, error.statusCode || 500, error.message);
+        }
+    },
+
+    // Get Payment Transactions (Admin)
+    getOrderTransactions: async (req, res) => {
+        try {
+            const order = await Order.findById(req.params.id)
+                .select('totalAmount refundedAmount paymentMethod transactions tenders status')
+                .populate('transactions.actor', 'name email');
+
+            if (!order) return handleError(res, 404, 'Order not found');
+
+            handleResponse(res, 200, 'Order transactions retrieved', {
+                transactions: order.transactions,
+                totalAmount: order.totalAmount,
+                tenders: order.tenders,
+                amountDue: order.getAmountDue(),
+                refundedAmount: order.refundedAmount,
+                refundableAmount: getRefundableAmount(order)
+            });
         } catch (error) {
             handleError(res, 500, error.message);
         }
     },
-    
 
-    // PayFast Notification Handler
-    handlePayfastNotification: async (req, res) => {
+    // Get Order Status History
+    getOrderHistory: async (req, res) => {
         try {
-            const data = req.body;
-            const signature = data.signature;
+            const order = await Order.findById(req.params.id)
+                .select('user status statusHistory')
+                .populate('statusHistory.changedBy', 'name email');
 
-            delete data.signature;
-            const isValid = verifyPayfastSignature(data, signature);
+            if (!order) return handleError(res, 404, 'Order not found');
+            if (!authorizeOrderAccess(order, req.user)) return handleError(res, 403, 'Unauthorized access');
 
-            if (!isValid) return res.status(400).send('Invalid signature');
+            handleResponse(res, 200, 'Order history retrieved', {
+                status: order.status,
+                history: order.statusHistory
+            });
+        } catch (error) {
+            handleError(res, 500, error.message);
+        }
+    },
+    
 
-            const order = await Order.findById(data.m_payment_id);
-            if (!order) return res.status(404).send('Order not found');
+    // List Enabled Payment Methods
+    getPaymentMethods: async (req, res) => {
+        try {
+            const providers = await getEnabledProviders();
+            handleResponse(res, 200, 'Payment methods retrieved',
+                providers.map(({ name, label, requiresPrepayment }) => ({ name, label, requiresPrepayment })));
+        } catch (error) {
+            handleError(res, 500, error.message);
+        }
+    },
 
-            updateOrderFromPayment(order, data);
-            await order.save();
+    // Payment Provider Webhook (PayFast ITN on /notify, others on /webhooks/:provider)
+    handlePaymentWebhook: async (req, res) => {
+        try {
+            const provider = getProvider(req.params.provider || 'PayFast');
+            const event = await provider.handleWebhook(req);
+            if (!event) return res.status(200).end();
+
+            // Store the notification and apply it in one go so replays are no-ops
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    const seen = await PaymentNotification.exists({
+                        provider: provider.name,
+                        paymentId: event.paymentId,
+                        paymentStatus: event.gatewayStatus
+                    }).session(session);
+                    if (seen) return;
+
+                    await PaymentNotification.create([{
+                        provider: provider.name,
+                        paymentId: event.paymentId,
+                        paymentStatus: event.gatewayStatus,
+                        order: event.orderId,
+                        payload: event.payload
+                    }], { session });
+
+                    const order = await Order.findById(event.orderId).session(session);
+                    if (!order) throw createError(404, 'Order not found');
+
+                    const newStatus = applyPaymentEvent(order, event, provider);
+                    if (newStatus === 'Cancelled') {
+                        await releaseOrderResources(order, session);
+                    }
+                    await order.save({ session });
+                });
+            } finally {
+                await session.endSession();
+            }
 
             res.status(200).end();
         } catch (error) {
-            res.status(500).send('Server error');
+            // A concurrent delivery of the same notification won the insert
+            if (error.code === 11000) return res.status(200).end();
+            res.status(error.statusCode || 500).send(error.statusCode ? error.message : 'Server error');
         }
     },
 
@@ -227,19 +488,60 @@ export const orderController = {
                         },
                         totalSales: { $sum: { $ifNull: ["$subtotal", 0] } },
                         totalShippingCost: { $sum: { $ifNull: ["$shippingCost", 0] } },
-                        totalRevenue: { $sum: "$totalAmount" }
+                        totalRevenue: { $sum: "$totalAmount" },
+                        totalRefunded: { $sum: { $ifNull: ["$refundedAmount", 0] } }
+                    }
+                },
+                {
+                    $addFields: {
+                        netRevenue: { $subtract: ["$totalRevenue", "$totalRefunded"] }
                     }
                 }
             ]);
 
-            const result = stats[0] || {
+            // Discount given per promotion, so campaigns can be compared
+            const discountsByPromotion = await Order.aggregate([
+                { $match: { ...matchStage, status: { $nin: ['Cancelled', 'Payment Expired'] } } },
+                { $unwind: "$discounts" },
+                {
+                    $group: {
+                        _id: {
+                            source: "$discounts.source",
+                            type: "$discounts.type",
+                            code: "$discounts.code",
+                            name: "$discounts.name"
+                        },
+                        orders: { $sum: 1 },
+                        itemDiscount: { $sum: "$discounts.amount" },
+                        shippingDiscount: { $sum: "$discounts.shippingAmount" }
+                    }
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        source: "$_id.source",
+                        type: "$_id.type",
+                        code: "$_id.code",
+                        name: "$_id.name",
+                        orders: 1,
+                        itemDiscount: 1,
+                        shippingDiscount: 1,
+                        totalDiscount: { $add: ["$itemDiscount", "$shippingDiscount"] }
+                    }
+                },
+                { $sort: { totalDiscount: -1 } }
+            ]);
+
+            const totals = stats[0] || {
                 totalOrders: 0,
                 couponsUsed: 0,
                 totalSales: 0,
                 totalShippingCost: 0,
-                totalRevenue: 0
+                totalRevenue: 0,
+                totalRefunded: 0,
+                netRevenue: 0
             };
-            handleResponse(res, 200, 'Sales stats retrieved', result);
+            handleResponse(res, 200, 'Sales stats retrieved', { ...totals, discountsByPromotion });
         } catch (error) {
             handleError(res, 500, 'Server error while fetching sales stats');
         }
@@ -247,77 +549,56 @@ export const orderController = {
 };
 
 // Helper Functions
-const processOrderItems = async (items, products) => {
-    let calculatedSubtotal = 0;
-    const orderItems = [];
-
-    for (const item of items) {
-        const product = products.find(p => p._id.equals(item.id));
-        if (!product) throw new Error(`Product not found: ${item.id}`);
-        if (product.stock < item.quantity) {
-            throw new Error(`Insufficient stock for ${product.name}. Available: ${product.stock}`);
-        }
-
-        product.stock -= item.quantity;
-        await product.save();
-
-        orderItems.push({
-            product: product._id,
-            name: product.name,
-            quantity: item.quantity,
-            price: product.price,
-            image: product.images?.[0]?.url
-        });
-
-        calculatedSubtotal += product.price * item.quantity;
-    }
-
-    return [orderItems, calculatedSubtotal];
-};
-
-const validateOrderAmounts = (amounts, calculatedSubtotal, res) => {
-    const calculatedTotal = calculatedSubtotal + amounts.shippingCost - amounts.discount;
-    if (amounts.totalAmount !== calculatedTotal) {
-        handleError(res, 400, 'Invalid total amount calculation');
-        throw new Error('Amount validation failed');
-    }
-};
-
-const handleCoupon = async (couponCode, user, subtotal) => {
-    if (!couponCode) return null;
-    if (!user) throw new Error('Authentication required for coupon use');
-
-    
-    const coupon = await Coupon.findOne({ code: couponCode.toUpperCase() });
-    if (!coupon ) {
-        throw new Error('Invalid or expired coupon');
-    }
-
-    return coupon
-};
-
 const createOrderDocument = ({
-    items,
+    pricing,
     shippingAddress,
-    paymentMethod,
-    amounts,
-    user,
-    coupon
+    provider,
+    user
 }) => {
     return new Order({
-        items,
+        items: pricing.items,
         shippingAddress,
-        paymentMethod,
-        subtotal: amounts.subtotal,
-        shippingCost: amounts.shippingCost,
-        discount: amounts.discount,
-        totalAmount: amounts.totalAmount,
-        user: user?._id,
-        couponUsed: coupon?._id,
-        status: 'Processing'
+        paymentMethod: provider.name,
+        subtotal: pricing.subtotal,
+        shippingCost: pricing.shippingCost,
+        discount: pricing.discount,
+        discounts: pricing.discounts,
+        totalAmount: pricing.totalAmount,
+        user,
+        couponUsed: pricing.coupon?._id,
+        status: provider.requiresPrepayment ? 'Pending Payment' : 'Processing'
     });
 };
 
+// Only the cart's owner (user, or guest holding the cart cookie) may check it out
+const findCheckoutCart = async (cartId, req) => {
+    if (!mongoose.isValidObjectId(cartId)) return null;
+    const cart = await Cart.findById(cartId);
+    if (!cart) return null;
+
+    const isOwner = req.user
+        ? cart.user?.equals(req.user._id)
+        : cart.guestId && cart.guestId === req.cookies?.[GUEST_CART_COOKIE];
+    return isOwner ? cart : null;
+};
+
+// Cancel an order whose payment never started and give back its stock, coupon and balances
+const abandonOrder = async (orderId, note) => {
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            const order = await Order.findOne({ _id: orderId, status: { $in: ['Pending Payment', 'Processing'] } }).session(session);
+            if (!order) return;
+
+            order.changeStatus('Cancelled', { note });
+            await releaseOrderResources(order, session);
+            await order.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+};
+
 const buildShippingAddress = (body, address) => ({
     ...address,
     email: body.email,
@@ -325,64 +606,14 @@ const buildShippingAddress = (body, address) => ({
     fullName: body.name
 });
 
-const generatePayfastPayload = (order) => {
-    const params = {
-        merchant_id: process.env.PAYFAST_MERCHANT_ID,
-        merchant_key: process.env.PAYFAST_MERCHANT_KEY,
-        return_url: process.env.PAYFAST_RETURN_URL,
-        cancel_url: process.env.PAYFAST_CANCEL_URL,
-        notify_url: process.env.PAYFAST_NOTIFY_URL,
-        m_payment_id: order._id.toString(),
-        amount: order.totalAmount.toFixed(2),
-        item_name: `Order #${order._id}`
-    };
-
-    if (process.env.PAYFAST_PASSPHRASE) {
-        params.passphrase = process.env.PAYFAST_PASSPHRASE;
-    }
-
-    const signatureString = Object.keys(params)
-        .sort()
-        .map(key => `${key}=${encodeURIComponent(params[key])}`)
-        .join('&');
-
-    params.signature = crypto.createHash('md5')
-        .update(signatureString)
-        .digest('hex');
-
-    return {
-        redirectUrl: `${process.env.PAYFAST_URL}?${new URLSearchParams(params)}`,
-        status: 'pending'
-    };
-};
-
 const authorizeOrderAccess = (order, user) => {
     return order.user?.equals(user._id) || user.role === 'admin';
 };
 
 const handleStatusChange = async (order, newStatus, user) => {
-    if (newStatus === 'Cancelled') {
-        await restoreStock(order.items);
-    }
-
-    if (newStatus === 'Delivered') {
-        order.deliveredAt = new Date();
-    }
-
     sendStatusEmail(order, newStatus, user);
 };
 
-const restoreStock = async (items) => {
-    const bulkOps = items.map(item => ({
-        updateOne: {
-            filter: { _id: item.product },
-            update: { $inc: { stock: item.quantity } }
-        }
-    }));
-
-    await Product.bulkWrite(bulkOps);
-};
-
 const sendStatusEmail = (order, status, user) => {
     if (user?.role !== 'admin') return;
 
@@ -414,146 +645,30 @@ const sendStatusEmail = (order, status, user) => {
     }
 };
 
-const verifyPayfastSignature = (data, receivedSignature) => {
-    let signatureString = Object.keys(data)
-        .sort()
-        .map(key => `${key}=${encodeURIComponent(data[key])}`)
-        .join('&');
-
-    if (process.env.PAYFAST_PASSPHRASE) {
-        signatureString += `&passphrase=${encodeURIComponent(process.env.PAYFAST_PASSPHRASE)}`;
-    }
+const applyPaymentEvent = (order, event, provider) => {
+    // A late pending or failed event must not undo a payment that already went through
+    if (order.capturedAmount(provider.name) > 0 && event.status !== 'paid') return null;
 
-    const expectedSignature = crypto
-        .createHash('md5')
-        .update(signatureString)
-        .digest('hex');
-
-    return expectedSignature === receivedSignature;
-};
-
-const updateOrderFromPayment = (order, data) => {
     order.paymentResult = {
-        id: data.pf_payment_id,
-        status: data.payment_status,
-        update_time: new Date().toISOString(),
-        rawData: data
+        id: event.paymentId,
+        status: event.gatewayStatus,
+        update_time: new Date().toISOString()
     };
 
-    if (data.payment_status === 'COMPLETE') {
-        order.status = 'Processing';
-    } else if (data.payment_status === 'FAILED') {
-        order.status = 'Cancelled';
+    if (event.status === 'paid') {
+        order.recordTransaction({
+            type: 'charge',
+            amount: event.amount,
+            method: provider.name,
+            reference: event.paymentId,
+            note: `${provider.label} payment`
+        });
     }
-};
-
-// Email System
-const emailTemplates = {
-    orderConfirmation: (order) => `
-    <h1>Thank you for your order!</h1>
-    <p><strong>Order ID:</strong> ${order._id}</p>
-    <h3>Shipping Details:</h3>
-    <p>${Object.values(order.shippingAddress).filter(Boolean).join(', ')}</p>
-    <h3>Items (${order.items.length}):</h3>
-    <ul>
-      ${order.items.map(item => `
-        <li style="margin-bottom: 15px;">
-          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
-          ${item.name} × ${item.quantity} @ Rs ${item.price}
-        </li>
-      `).join('')}
-    </ul>
-    <h3>Total: Rs ${order.totalAmount}</h3>
-  `,
-
-    orderTracking: (order) => `
-    <h1>🚚 Your Order is on the way!</h1>
-    <p>We are excited to let you know that your order is on its way. Here are the details:</p>
-    <p><strong>Tracking ID:</strong> ${order.trackingId || 'Tracking id will be given soon'}</p>
-    <h3>Shipping Details:</h3>
-    <p>${Object.values(order.shippingAddress).filter(Boolean).join(', ')}</p>
-    <h3>Order Summary:</h3>
-    <ul>
-      ${order.items.map(item => `
-        <li style="margin-bottom: 15px;">
-          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
-          ${item.name} × ${item.quantity} @ Rs ${item.price}
-        </li>
-      `).join('')}
-    </ul>
-    <h3>Total: Rs ${order.totalAmount}</h3>
-    <p>You can view the full details of your order and track its progress by clicking the link below:</p>
-    <p><a href="${process.env.CLIENT_URL}/orders/${order._id}" style="color: blue;">View Order Details</a></p>
-    <p>Thank you for shopping with us!</p>
-    `,
-    orderShipped: (order) => `
-      <h1>🚚 Your Order Has Shipped!</h1>
-    <p>We are excited to let you know that your order is on its way. Here are the details:</p>
-    <p><strong>Tracking ID:</strong> ${order.trackingId || 'Tracking id will be given soon'}</p>
-    <h3>Shipping Details:</h3>
-    <p>${Object.values(order.shippingAddress).filter(Boolean).join(', ')}</p>
-    <h3>Order Summary:</h3>
-    <ul>
-      ${order.items.map(item => `
-        <li style="margin-bottom: 15px;">
-          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
-          ${item.name} × ${item.quantity} @ Rs ${item.price}
-        </li>
-      `).join('')}
-    </ul>
-    <h3>Total: Rs ${order.totalAmount}</h3>
-    <p>Thank you for shopping with us!</p>
-  `,
-
-    orderDelivered: (order) => `
-        <h2>🎉 Order Delivered!</h2>
-    <p>We hope you're enjoying your purchase!</p>
-    <h3>Order Summary:</h3>
-    <ul>
-      ${order.items.map(item => `
-        <li style="margin-bottom: 15px;">
-          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
-          ${item.name} × ${item.quantity} @ Rs ${item.price}
-        </li>
-      `).join('')}
-    </ul>
-    <h3>Total: Rs ${order.totalAmount}</h3>
-    <p>We would love to hear your feedback. Please leave a review.</p>
-    <p>Thank you for shopping with us!</p>
-  `,
-
-    orderCancelled: (order) => `
-  <h1>Your order has been cancelled</h1>
-    <p><strong>Order ID:</strong> ${order._id}</p>
-    <h3>Shipping Details:</h3>
-    <p>${Object.values(order.shippingAddress).filter(Boolean).join(', ')}</p>
-    <h3>Items (${order.items.length}):</h3>
-    <ul>
-      ${order.items.map(item => `
-        <li style="margin-bottom: 15px;">
-          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
-          ${item.name} × ${item.quantity} @ Rs ${item.price}
-        </li>
-      `).join('')}
-    </ul>
-    <h3>Total: Rs ${order.totalAmount}</h3>
-    <p>If you have any questions, please contact our support team.</p>
-    `
-};
 
-const sendOrderEmail = async ({ email, subject, template, order }) => {
-    try {
-        await transporter.sendMail({
-            from: `<${process.env.EMAIL_USER}>`,
-            to: email,
-            subject,
-            html: emailTemplates[template](order)
-        });
-    } catch (error) {
-        console.error('Email Error:', error);
+    const nextStatus = { paid: 'Processing', failed: 'Cancelled' }[event.status];
+    if (nextStatus && order.canTransitionTo(nextStatus)) {
+        order.changeStatus(nextStatus, { note: `${provider.label} payment ${event.gatewayStatus}` });
+        return nextStatus;
     }
+    return null;
 };
-
-
-
-
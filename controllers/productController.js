@@ -1,6 +1,13 @@
+import mongoose from 'mongoose';
 import Product from '../models/Product.js';
-import { handleResponse, handleError } from '../utils/responseHandler.js';
-import APIFeatures from '../utils/apiFeatures.js';
+import StockSubscription from '../models/StockSubscription.js';
+import { handleResponse, handleError, createError } from '../utils/responseHandler.js';
+import APIFeatures, { buildFilter } from '../utils/apiFeatures.js';
+import { PRODUCT_QUERY } from '../utils/querySchemas.js';
+import { snapshotStock, recordStockEdit } from '../utils/inventory.js';
+import { MAX_SUBSCRIPTIONS_PER_EMAIL } from '../utils/backInStock.js';
+import { getProductFacets, fuzzyNameFilter, prefixNameFilter } from '../utils/search.js';
+import { getBreadcrumbs } from '../utils/categories.js';
 import { deleteFromCloudinary } from '../config/cloudinary.js';
 
 
@@ -11,13 +18,13 @@ import { deleteFromCloudinary } from '../config/cloudinary.js';
 // @access  Public
 export const getAllProducts = async (req, res) => {
     try {
-        const features = new APIFeatures(Product.find(), req.query)
+        const features = new APIFeatures(Product.find(), req.query, PRODUCT_QUERY)
             .filter()
             .sort()
             .limitFields()
             .paginate();
 
-        const products = await features.query;
+        const { items: products, nextCursor, prevCursor } = features.paginateResults(await features.query);
         const total = await Product.countDocuments(features.filterQuery);
 
         handleResponse(res, 200, 'Products retrieved successfully', {
@@ -25,11 +32,13 @@ export const getAllProducts = async (req, res) => {
             total,
             results: products.length,
             currentPage: features.page,
-            totalPages: Math.ceil(total / features.limit)
+            totalPages: Math.ceil(total / features.limit),
+            nextCursor,
+            prevCursor
         });
 
     } catch (error) {
-        handleError(res, 500, error.message);
+        handleError(res, error.statusCode || 500, error.message);
     }
 };
 
@@ -91,23 +100,77 @@ export const getProductsByCategories = async (req, res) => {
 
 
 
-// @desc    Search products
-// @route   GET /api/products/search
+// @desc    Search products with the usual filters, pagination and facet counts.
+//          Falls back to typo-tolerant name matching when the text search finds nothing.
+// @route   GET /api/products/search?q&categories&sizes&price[gte]&...&page&limit
 // @access  Public
 export const searchProducts = async (req, res) => {
     try {
         const { q } = req.query;
-        if (!q) return handleError(res, 400, 'Search query required');
+        if (!q?.trim()) return handleError(res, 400, 'Search query required');
+
+        // Sold-out products stay hidden unless asked for
+        const queryString = { inStock: 'true', ...req.query };
 
-        const products = await Product.find({
-            $text: { $search: q },
-            stock: { $gt: 0 }
-        }, {
-            score: { $meta: "textScore" }
-        }).sort({ score: { $meta: "textScore" } });
+        let match = 'text';
+        let result = await runSearch(queryString);
+        if (result.total === 0) {
+            match = 'fuzzy';
+            result = await runSearch(queryString, { fuzzy: true });
+        }
 
-        handleResponse(res, 200, 'Search results', products);
+        const { features, items: products, total, nextCursor, prevCursor } = result;
+        const facets = await getProductFacets(features.searchFilter, {
+            categories: filterWithout(queryString, 'categories'),
+            sizes: filterWithout(queryString, 'sizes'),
+            prices: filterWithout(queryString, 'price'),
+            ratings: filterWithout(queryString, 'ratings')
+        });
+
+        handleResponse(res, 200, 'Search results', {
+            products,
+            total,
+            results: products.length,
+            currentPage: features.page,
+            totalPages: Math.ceil(total / features.limit),
+            nextCursor,
+            prevCursor,
+            match,
+            facets
+        });
 
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Autocomplete: product names starting with, or within one typo of, `q`
+// @route   GET /api/products/suggest?q&limit
+// @access  Public
+export const suggestProducts = async (req, res) => {
+    try {
+        const q = req.query.q?.trim();
+        if (!q) return handleResponse(res, 200, 'Suggestions', []);
+        const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 8, 20));
+
+        const fields = 'name slug price images';
+        const suggestions = await Product.find(prefixNameFilter(q)).select(fields).sort('name').limit(limit);
+
+        if (suggestions.length < limit) {
+            const fuzzy = await Product.find({
+                ...fuzzyNameFilter(q),
+                _id: { $nin: suggestions.map(p => p._id) }
+            }).select(fields).sort('name').limit(limit - suggestions.length);
+            suggestions.push(...fuzzy);
+        }
+
+        handleResponse(res, 200, 'Suggestions', suggestions.map(product => ({
+            _id: product._id,
+            name: product.name,
+            slug: product.slug,
+            price: product.price,
+            image: product.images?.[0]?.url
+        })));
     } catch (error) {
         handleError(res, 500, error.message);
     }
@@ -118,26 +181,13 @@ export const searchProducts = async (req, res) => {
 // @access  Public
 export const getProductById = async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id)
-            .populate({
-                path: 'reviews',
-                select: 'rating comment user createdAt',
-                options: { sort: { createdAt: -1 } },
-                populate: {
-                    path: 'user',
-                    select: 'name'
-                }
-            })
-            .populate({
-                path: 'categories',
-                select: 'name'
-            });
+        const product = await populateDetails(Product.findById(req.params.id));
 
         if (!product) {
             return handleError(res, 404, 'Product not found');
         }
 
-        handleResponse(res, 200, 'Product details retrieved', product);
+        handleResponse(res, 200, 'Product details retrieved', await withBreadcrumbs(product));
 
     } catch (error) {
         if (error.name === 'CastError') {
@@ -147,6 +197,35 @@ export const getProductById = async (req, res) => {
     }
 };
 
+// @desc    Get single product by its URL slug. An old slug from before a rename still
+//          finds the product, with `redirect` naming the current slug to move the URL to.
+// @route   GET /api/products/slug/:slug
+// @access  Public
+export const getProductBySlug = async (req, res) => {
+    try {
+        const slug = String(req.params.slug).toLowerCase();
+
+        let product = await populateDetails(Product.findOne({ slug }));
+        let redirect = null;
+        if (!product) {
+            product = await populateDetails(Product.findOne({ slugHistory: slug }));
+            if (product) redirect = { status: 301, slug: product.slug };
+        }
+
+        if (!product) {
+            return handleError(res, 404, 'Product not found');
+        }
+
+        handleResponse(res, 200, redirect ? 'Product has moved' : 'Product details retrieved', {
+            product: await withBreadcrumbs(product),
+            redirect
+        });
+
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
 // @desc    Create new product
 // @route   POST /api/products
 // @access  Admin
@@ -157,9 +236,10 @@ export const createProduct = async (req, res) => {
 
         // Extract product details
         const { name, description, price, sizes, categories, stock } = req.body;
+        const variants = parseVariants(req.body.variants);
 
-        // Validate required fields
-        if (!name || !description || !price || !categories || !stock) {
+        // Validate required fields; price and stock come from the variants when there are any
+        if (!name || !description || !categories || (!variants.length && (!price || !stock))) {
             return handleError(res, 400, "Missing required fields");
         }
 
@@ -188,20 +268,21 @@ export const createProduct = async (req, res) => {
         }
 
         // Convert sizes and categories to arrays
-        const sizeArray = Array.isArray(sizes) ? sizes : sizes.split(",");
+        const sizeArray = Array.isArray(sizes) ? sizes : sizes?.split(",") || [];
         const categoryArray = Array.isArray(categories) ? categories : categories.split(",");
 
         // Create the new product
-        const product = await Product.create({
+        const product = new Product({
             name,
-            slug: name.toLowerCase().replace(/ /g, "-"),
             description,
             price,
             sizes: sizeArray,
             categories: categoryArray,
-            stock,
+            stock: stock || 0,
+            variants,
             images
         });
+        await saveWithStockEdit(product, {}, { actor: req.user, note: 'Initial stock' });
 
         handleResponse(res, 201, "Product created successfully", product);
 
@@ -212,6 +293,9 @@ export const createProduct = async (req, res) => {
             await cleanupImages(req.files.map(f => ({ public_id: f.public_id })));
         }
 
+        if (error.statusCode) return handleError(res, error.statusCode, error.message);
+        if (error.code === 11000) return handleError(res, 400, duplicateKeyMessage(error));
+        if (error.name === 'ValidationError') return handleValidationError(error, res);
         handleError(res, 500, "Server error");
     }
 };
@@ -239,20 +323,18 @@ export const updateProduct = async (req, res) => {
             await handleImageDeletions(req.body.imagesToDelete, product);
         }
 
-        // Update other fields
-        const updates = processUpdates(req.body, product);
-        const updatedProduct = await Product.findByIdAndUpdate(
-            req.params.id,
-            updates,
-            { new: true, runValidators: true }
-        );
+        // Update other fields; saving the document keeps the slug and its history in step with the name
+        const before = snapshotStock(product);
+        product.set(processUpdates(req.body, product));
+        await saveWithStockEdit(product, before, { actor: req.user });
 
-        handleResponse(res, 200, 'Product updated successfully', updatedProduct);
+        handleResponse(res, 200, 'Product updated successfully', product);
 
     } catch (error) {
         if (req.files?.length) {
             await cleanupImages(req.files.map(f => ({ public_id: f.public_id })));
         }
+        if (error.code === 11000) return handleError(res, 400, duplicateKeyMessage(error));
         handleValidationError(error, res);
     }
 };
@@ -283,7 +365,227 @@ export const deleteProduct = async (req, res) => {
     }
 };
 
+// @desc    Add a variant to a product
+// @route   POST /api/products/:id/variants
+// @access  Admin
+export const addVariant = async (req, res) => {
+    const images = mapUploadedImages(req.files);
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) throw createError(404, 'Product not found');
+
+        const before = snapshotStock(product);
+        product.variants.push({ ...pickVariantFields(req.body), images });
+        await saveWithStockEdit(product, before, { actor: req.user });
+
+        handleResponse(res, 201, 'Variant added', product);
+    } catch (error) {
+        if (images.length) await cleanupImages(images);
+        handleVariantError(error, res);
+    }
+};
+
+// @desc    Update a variant's SKU, options, price, stock or images
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Admin
+export const updateVariant = async (req, res) => {
+    const images = mapUploadedImages(req.files);
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) throw createError(404, 'Product not found');
+        const variant = product.findVariant(req.params.variantId);
+        if (!variant) throw createError(404, 'Variant not found');
+
+        const before = snapshotStock(product);
+        variant.set(pickVariantFields(req.body));
+        variant.images.push(...images);
+
+        if (req.body.imagesToDelete) {
+            const toDelete = [].concat(req.body.imagesToDelete);
+            await cleanupImages(toDelete.map(public_id => ({ public_id })));
+            variant.images = variant.images.filter(img => !toDelete.includes(img.public_id));
+        }
+
+        await saveWithStockEdit(product, before, { actor: req.user });
+        handleResponse(res, 200, 'Variant updated', product);
+    } catch (error) {
+        if (images.length) await cleanupImages(images);
+        handleVariantError(error, res);
+    }
+};
+
+// @desc    Remove a variant; past orders keep the SKU and options they were sold with
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Admin
+export const deleteVariant = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) throw createError(404, 'Product not found');
+        const variant = product.findVariant(req.params.variantId);
+        if (!variant) throw createError(404, 'Variant not found');
+
+        const before = snapshotStock(product);
+        await cleanupImages(variant.images);
+        variant.deleteOne();
+        await saveWithStockEdit(product, before, { actor: req.user });
+
+        handleResponse(res, 200, 'Variant deleted', product);
+    } catch (error) {
+        handleVariantError(error, res);
+    }
+};
+
+// @desc    Ask to be emailed when a sold-out product or variant is back in stock
+// @route   POST /api/products/:id/notify-me
+// @access  Public (guests give an email, users default to theirs)
+export const subscribeToRestock = async (req, res) => {
+    try {
+        const email = (req.body.email || req.user?.email)?.trim().toLowerCase();
+        if (!email) return handleError(res, 400, 'Email is required');
+
+        const product = await Product.findById(req.params.id).select('name stock variants');
+        if (!product) return handleError(res, 404, 'Product not found');
+
+        // Without a variant the shopper waits for any of them
+        const variant = req.body.variantId ? product.findVariant(req.body.variantId) : null;
+        if (req.body.variantId && !variant?.isActive) return handleError(res, 404, 'Variant not found');
+        if ((variant ? variant.stock : product.stock) > 0) {
+            return handleError(res, 400, 'This item is in stock');
+        }
+
+        const pending = await StockSubscription.countDocuments({ email, notifiedAt: null });
+        if (pending >= MAX_SUBSCRIPTIONS_PER_EMAIL) {
+            return handleError(res, 429, 'Too many back-in-stock requests for this email');
+        }
+
+        // Subscribing again re-arms an old subscription instead of adding a second one
+        await StockSubscription.findOneAndUpdate(
+            { product: product._id, variant: variant?._id || null, email },
+            { $set: { user: req.user?._id, restockedAt: null, notifiedAt: null } },
+            { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        handleResponse(res, 201, "We'll email you when it's back in stock", null);
+    } catch (error) {
+        if (error.code === 11000) {
+            return handleResponse(res, 201, "We'll email you when it's back in stock", null);
+        }
+        if (error.name === 'CastError') return handleError(res, 400, 'Invalid product ID');
+        if (error.name === 'ValidationError') return handleError(res, 400, error.message);
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Shoppers waiting per product and variant, longest list first
+// @route   GET /api/products/waiting-list?product
+// @access  Admin
+export const getWaitingList = async (req, res) => {
+    try {
+        const match = { notifiedAt: null };
+        if (req.query.product) {
+            if (!mongoose.isValidObjectId(req.query.product)) return handleError(res, 400, 'Invalid product ID');
+            match.product = new mongoose.Types.ObjectId(req.query.product);
+        }
+
+        const waiting = await StockSubscription.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { product: '$product', variant: '$variant' },
+                    count: { $sum: 1 },
+                    oldest: { $min: '$createdAt' }
+                }
+            },
+            {
+                $group: {
+                    _id: '$_id.product',
+                    count: { $sum: '$count' },
+                    variants: {
+                        $push: { variant: '$_id.variant', count: '$count', oldest: '$oldest' }
+                    }
+                }
+            },
+            { $sort: { count: -1 } },
+            { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+            { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+            {
+                $project: {
+                    _id: 0,
+                    product: '$_id',
+                    name: '$product.name',
+                    stock: '$product.stock',
+                    count: 1,
+                    variants: 1
+                }
+            }
+        ]);
+
+        handleResponse(res, 200, 'Waiting lists retrieved', waiting);
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
 // Helper Functions
+// Reviews with their authors and category names, for the product page
+const populateDetails = (query) => query
+    .populate({
+        path: 'reviews',
+        select: 'rating comment user createdAt',
+        options: { sort: { createdAt: -1 } },
+        populate: {
+            path: 'user',
+            select: 'name'
+        }
+    })
+    .populate({
+        path: 'categories',
+        select: 'name slug'
+    });
+
+// Trail to the product's first category, e.g. Bottles > Insulated
+const withBreadcrumbs = async (product) => ({
+    ...product.toJSON(),
+    breadcrumbs: product.categories.length ? await getBreadcrumbs(product.categories[0]._id) : []
+});
+
+// One page of search results plus the total, the same way getAllProducts paginates
+const runSearch = async (queryString, { fuzzy = false } = {}) => {
+    const features = new APIFeatures(Product.find(), queryString, PRODUCT_QUERY)
+        .filter()
+        .search({ fuzzy })
+        .sort()
+        .limitFields()
+        .paginate();
+
+    const [docs, total] = await Promise.all([
+        features.query,
+        Product.countDocuments(features.filterQuery)
+    ]);
+    return { features, total, ...features.paginateResults(docs) };
+};
+
+// Save a product and log its stock changes in one transaction, so the inventory ledger
+// never disagrees with the stock it describes
+const saveWithStockEdit = async (product, before, { actor, note } = {}) => {
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            await product.save({ session });
+            await recordStockEdit(before, product, { actor, note, session });
+        });
+    } finally {
+        await session.endSession();
+    }
+};
+
+// The search filters minus one, for counting that filter's facet
+const filterWithout = (queryString, key) => {
+    const rest = { ...queryString };
+    delete rest[key];
+    return buildFilter(rest, PRODUCT_QUERY);
+};
+
 const handleImageDeletions = async (imagesToDelete, product) => {
     await Promise.all(
         imagesToDelete.map(async publicId => {
@@ -296,17 +598,15 @@ const handleImageDeletions = async (imagesToDelete, product) => {
 };
 
 const processUpdates = (body, product) => {
+    // Variants are managed through their own endpoints, and drive price, stock and sizes
+    const derived = product.variants.length ? ['price', 'stock', 'sizes'] : [];
     const updates = Object.keys(body)
-        .filter(key => !['imagesToDelete'].includes(key))
+        .filter(key => !['imagesToDelete', 'variants', 'slugHistory', ...derived].includes(key))
         .reduce((obj, key) => {
             obj[key] = body[key];
             return obj;
         }, {});
 
-    if (updates.name) {
-        updates.slug = updates.name.toLowerCase().replace(/ /g, '-');
-    }
-
     if (updates.sizes) updates.sizes = updates.sizes.split(',');
     if (updates.categories) updates.categories = updates.categories.split(',');
 
@@ -329,4 +629,41 @@ const handleValidationError = (error, res) => {
         return handleError(res, 400, messages.join(', '));
     }
     handleError(res, 500, error.message);
-};
\ No newline at end of file
+};
+const VARIANT_FIELDS = ['sku', 'size', 'color', 'price', 'stock', 'isActive'];
+
+const pickVariantFields = (body) => VARIANT_FIELDS
+    .filter(field => body[field] !== undefined)
+    .reduce((fields, field) => ({ ...fields, [field]: body[field] }), {});
+
+// Multipart bodies carry the variants array as a JSON string
+const parseVariants = (variants) => {
+    if (!variants) return [];
+
+    let parsed = variants;
+    if (typeof variants === 'string') {
+        try {
+            parsed = JSON.parse(variants);
+        } catch {
+            throw createError(400, 'Variants must be a JSON array');
+        }
+    }
+    if (!Array.isArray(parsed)) throw createError(400, 'Variants must be a JSON array');
+    return parsed.map(pickVariantFields);
+};
+
+const mapUploadedImages = (files = []) => files.map(file => ({
+    public_id: file.filename || file.public_id,
+    url: file.path || file.url
+}));
+
+const duplicateKeyMessage = (error) => (error.keyPattern?.slug
+    ? 'Another product already uses this slug'
+    : 'A variant with this SKU already exists');
+
+const handleVariantError = (error, res) => {
+    if (error.statusCode) return handleError(res, error.statusCode, error.message);
+    if (error.code === 11000) return handleError(res, 400, duplicateKeyMessage(error));
+    if (error.name === 'CastError') return handleError(res, 400, 'Invalid product ID');
+    handleValidationError(error, res);
+};
@@ -0,0 +1,104 @@
+import Promotion from '../models/Promotion.js';
+import { handleResponse, handleError, createError } from '../utils/responseHandler.js';
+
+const UPDATABLE_FIELDS = [
+    'name', 'description', 'discountType', 'discountValue', 'maxDiscount',
+    'buyQuantity', 'getQuantity', 'minPurchase', 'applicableProducts', 'applicableCategories',
+    'priority', 'stackable', 'combinesWithCoupons', 'startAt', 'expiresAt', 'isActive'
+];
+
+// @desc    Create an automatic promotion
+// @route   POST /api/promotions
+// @access  Admin
+export const createPromotion = async (req, res) => {
+    try {
+        const promotion = new Promotion({ startAt: new Date() });
+        applyUpdates(promotion, req.body);
+        await promotion.save();
+
+        handleResponse(res, 201, 'Promotion created successfully', promotion);
+    } catch (error) {
+        if (error.name === 'ValidationError') return handleError(res, 400, error.message);
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Get promotions running right now
+// @route   GET /api/promotions
+// @access  Public
+export const getActivePromotions = async (req, res) => {
+    try {
+        const now = new Date();
+        const promotions = await Promotion.find({
+            isActive: true,
+            startAt: { $lte: now },
+            expiresAt: { $gte: now }
+        })
+            .sort({ priority: -1 })
+            .select('name description discountType discountValue maxDiscount buyQuantity getQuantity minPurchase applicableProducts applicableCategories expiresAt');
+
+        handleResponse(res, 200, 'Active promotions retrieved', promotions);
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Get all promotions (Admin View)
+// @route   GET /api/promotions/all
+// @access  Admin
+export const getAllPromotions = async (req, res) => {
+    try {
+        const promotions = await Promotion.find().sort({ priority: -1, createdAt: -1 });
+        handleResponse(res, 200, 'All promotions retrieved', promotions);
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Update a promotion
+// @route   PUT /api/promotions/:id
+// @access  Admin
+export const updatePromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+        if (!promotion) return handleError(res, 404, 'Promotion not found');
+
+        applyUpdates(promotion, req.body);
+        await promotion.save();
+
+        handleResponse(res, 200, 'Promotion updated successfully', promotion);
+    } catch (error) {
+        if (error.name === 'ValidationError') return handleError(res, 400, error.message);
+        if (error.name === 'CastError') return handleError(res, 400, 'Invalid promotion ID');
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Delete a promotion
+// @route   DELETE /api/promotions/:id
+// @access  Admin
+export const deletePromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.findByIdAndDelete(req.params.id);
+        if (!promotion) return handleError(res, 404, 'Promotion not found');
+
+        handleResponse(res, 200, 'Promotion deleted successfully', promotion);
+    } catch (error) {
+        if (error.name === 'CastError') return handleError(res, 400, 'Invalid promotion ID');
+        handleError(res, 500, error.message);
+    }
+};
+
+// Helper Functions
+const applyUpdates = (promotion, body) => {
+    UPDATABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) promotion[field] = body[field];
+    });
+
+    if (['percentage', 'bxgy'].includes(promotion.discountType) && promotion.discountValue > 100) {
+        throw createError(400, 'Percentage discount cannot exceed 100%');
+    }
+    if (promotion.expiresAt && promotion.startAt && promotion.expiresAt <= promotion.startAt) {
+        throw createError(400, 'expiresAt must be after startAt');
+    }
+};
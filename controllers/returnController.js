@@ -0,0 +1,315 @@
+import mongoose from 'mongoose';
+import Return from '../models/Return.js';
+import Order from '../models/Order.js';
+import Settings from '../models/settings.js';
+import { deleteFromCloudinary } from '../config/cloudinary.js';
+import { handleResponse, handleError, createError } from '../utils/responseHandler.js';
+import { roundMoney, isSameLine } from '../utils/pricing.js';
+import { restoreStock } from '../utils/inventory.js';
+import { refundOrder, settleProviderRefunds, getRefundableAmount } from '../utils/refunds.js';
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/returns
+// @access  Private
+export const createReturn = async (req, res) => {
+    const photos = (req.files || []).map(file => ({
+        public_id: file.filename || file.public_id,
+        url: file.path || file.url
+    }));
+
+    try {
+        const { orderId, reason } = req.body;
+        const requestedItems = parseReturnItems(req.body.items);
+
+        if (!orderId || !reason?.trim() || !requestedItems.length) {
+            throw createError(400, 'orderId, reason and at least one item are required');
+        }
+
+        const order = await Order.findOne({ _id: orderId, user: req.user._id });
+        if (!order) throw createError(404, 'Order not found');
+        if (order.status !== 'Delivered') {
+            throw createError(400, 'Only delivered orders can be returned');
+        }
+
+        const settings = await Settings.findOne();
+        const windowDays = settings?.returnWindowDays ?? 7;
+        const deliveredAt = order.deliveredAt || order.updatedAt;
+        if (Date.now() > deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000) {
+            throw createError(400, `Returns are only accepted within ${windowDays} days of delivery`);
+        }
+
+        const alreadyReturned = await getReturnedQuantities(order._id);
+        const items = requestedItems.map(({ productId, variantId, quantity }) => {
+            const line = order.items.find(i => isSameLine(i, { product: productId, variant: variantId }));
+            if (!line) throw createError(400, `Product ${productId} is not part of this order`);
+
+            const returnable = line.quantity - (alreadyReturned[lineKey(line)] || 0);
+            if (quantity > returnable) {
+                throw createError(400, `Only ${returnable} of ${line.name} can be returned`);
+            }
+
+            return {
+                product: line.product,
+                variant: line.variant,
+                sku: line.sku,
+                name: line.name,
+                quantity,
+                price: line.price
+            };
+        });
+
+        const rma = await Return.create({
+            order: order._id,
+            user: req.user._id,
+            items,
+            reason: reason.trim(),
+            photos
+        });
+
+        handleResponse(res, 201, 'Return requested', rma);
+
+    } catch (error) {
+        if (photos.length) await cleanupPhotos(photos);
+        if (error.name === 'CastError') return handleError(res, 400, 'Invalid order or product ID');
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Get returns of the logged in user
+// @route   GET /api/returns/my-returns
+// @access  Private
+export const getMyReturns = async (req, res) => {
+    try {
+        const returns = await Return.find({ user: req.user._id })
+            .sort('-createdAt')
+            .populate('order', 'totalAmount status createdAt');
+
+        handleResponse(res, 200, 'Returns retrieved', returns);
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Get all returns
+// @route   GET /api/returns
+// @access  Admin
+export const getAllReturns = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const filter = status ? { status } : {};
+
+        const [returns, count] = await Promise.all([
+            Return.find(filter)
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort('-createdAt')
+                .populate('user', 'name email')
+                .populate('order', 'totalAmount status createdAt'),
+            Return.countDocuments(filter)
+        ]);
+
+        handleResponse(res, 200, 'Returns retrieved', {
+            returns,
+            totalPages: Math.ceil(count / limit),
+            currentPage: Number(page)
+        });
+    } catch (error) {
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Get a single return
+// @route   GET /api/returns/:id
+// @access  Private (owner) / Admin
+export const getReturnById = async (req, res) => {
+    try {
+        const rma = await Return.findById(req.params.id)
+            .populate('user', 'name email')
+            .populate('order', 'totalAmount status createdAt');
+
+        if (!rma) return handleError(res, 404, 'Return not found');
+        if (!rma.user._id.equals(req.user._id) && req.user.role !== 'admin') {
+            return handleError(res, 403, 'Unauthorized access');
+        }
+
+        handleResponse(res, 200, 'Return retrieved', rma);
+    } catch (error) {
+        if (error.name === 'CastError') return handleError(res, 400, 'Invalid return ID');
+        handleError(res, 500, error.message);
+    }
+};
+
+// @desc    Approve a return request
+// @route   PUT /api/returns/:id/approve
+// @access  Admin
+export const approveReturn = async (req, res) => {
+    try {
+        const rma = await reviewReturn(req, 'Approved');
+        handleResponse(res, 200, 'Return approved', rma);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Reject a return request
+// @route   PUT /api/returns/:id/reject
+// @access  Admin
+export const rejectReturn = async (req, res) => {
+    try {
+        if (!req.body.note?.trim()) return handleError(res, 400, 'A rejection note is required');
+
+        const rma = await reviewReturn(req, 'Rejected');
+        handleResponse(res, 200, 'Return rejected', rma);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Mark returned goods as received, restock them and record the refund
+// @route   PUT /api/returns/:id/receive
+// @access  Admin
+export const receiveReturn = async (req, res) => {
+    try {
+        const session = await mongoose.startSession();
+        let rma;
+        let order;
+        let refunds = [];
+        try {
+            await session.withTransaction(async () => {
+                refunds = [];
+                rma = await Return.findById(req.params.id).session(session);
+                if (!rma) throw createError(404, 'Return not found');
+                if (rma.status !== 'Approved') {
+                    throw createError(400, 'Only approved returns can be received');
+                }
+
+                order = await Order.findById(rma.order).session(session);
+                const refundable = getRefundableAmount(order);
+                const refundAmount = req.body.refundAmount !== undefined
+                    ? Number(req.body.refundAmount)
+                    : calculateRefund(rma, order);
+
+                if (!(refundAmount >= 0) || refundAmount > refundable) {
+                    throw createError(400, `Refund amount must be between 0 and ${refundable}`);
+                }
+
+                await restoreStock(rma.items, session, {
+                    reason: 'return',
+                    reference: rma._id,
+                    referenceModel: 'Return',
+                    actor: req.user
+                });
+
+                rma.status = 'Received';
+                rma.receivedAt = new Date();
+                rma.refundAmount = refundAmount;
+                if (req.body.note) rma.adminNote = req.body.note;
+                await rma.save({ session });
+
+                if (await isFullyReturned(order, session)) {
+                    order.changeStatus('Returned', { actor: req.user, note: `Return ${rma._id} received` });
+                }
+                if (refundAmount > 0) {
+                    refunds = await refundOrder(order, {
+                        amount: refundAmount,
+                        actor: req.user,
+                        note: `Return ${rma._id}`,
+                        reference: `rma-${rma._id}`,
+                        toStoreCredit: req.body.toStoreCredit === true || req.body.toStoreCredit === 'true',
+                        session
+                    });
+                }
+                await order.save({ session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        // The goods are back on the shelf either way; the gateway is only called once that has committed
+        await settleProviderRefunds(order, refunds, { actor: req.user });
+
+        handleResponse(res, 200, 'Return received', rma);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// Helper Functions
+// Multipart bodies carry the items array as a JSON string
+const parseReturnItems = (items) => {
+    let parsed = items;
+    if (typeof items === 'string') {
+        try {
+            parsed = JSON.parse(items);
+        } catch {
+            throw createError(400, 'Items must be a JSON array');
+        }
+    }
+    if (!Array.isArray(parsed)) return [];
+
+    return parsed.map(item => {
+        const quantity = Number(item.quantity);
+        if (!item.productId || !Number.isInteger(quantity) || quantity < 1) {
+            throw createError(400, 'Each item needs a productId and a positive quantity');
+        }
+        return { productId: item.productId, variantId: item.variantId, quantity };
+    });
+};
+
+const lineKey = (item) => `${item.product}:${item.variant || ''}`;
+
+const sumReturnedQuantities = (returns) => returns.reduce((totals, rma) => {
+    rma.items.forEach(item => {
+        const key = lineKey(item);
+        totals[key] = (totals[key] || 0) + item.quantity;
+    });
+    return totals;
+}, {});
+
+// Quantities per order line already claimed by open or completed returns
+const getReturnedQuantities = async (orderId, session = null) => {
+    const returns = await Return.find({ order: orderId, status: { $ne: 'Rejected' } }).session(session);
+    return sumReturnedQuantities(returns);
+};
+
+const isFullyReturned = async (order, session) => {
+    const received = await Return.find({ order: order._id, status: 'Received' }).session(session);
+    const returned = sumReturnedQuantities(received);
+
+    return order.items.every(line => (returned[lineKey(line)] || 0) >= line.quantity);
+};
+
+// Returned lines at the paid price, less the discount each line carried. Orders placed
+// before per-line discounts were recorded share the order-level discount proportionally.
+const calculateRefund = (rma, order) => {
+    if (order.discounts?.length || order.items.some(line => line.discount > 0)) {
+        return roundMoney(rma.items.reduce((sum, item) => {
+            const line = order.items.find(l => isSameLine(l, item));
+            const unitDiscount = line?.discount ? line.discount / line.quantity : 0;
+            return sum + (item.price - unitDiscount) * item.quantity;
+        }, 0));
+    }
+
+    const discountShare = order.subtotal ? (order.discount || 0) / order.subtotal : 0;
+    return roundMoney(rma.itemsTotal() * (1 - discountShare));
+};
+
+const reviewReturn = async (req, status) => {
+    const rma = await Return.findById(req.params.id);
+    if (!rma) throw createError(404, 'Return not found');
+    if (rma.status !== 'Requested') {
+        throw createError(400, `Return has already been ${rma.status.toLowerCase()}`);
+    }
+
+    rma.status = status;
+    rma.adminNote = req.body.note;
+    rma.reviewedBy = req.user._id;
+    rma.reviewedAt = new Date();
+    return rma.save();
+};
+
+const cleanupPhotos = async (photos) => {
+    await Promise.all(
+        photos.map(photo => deleteFromCloudinary(photo.public_id).catch(() => null))
+    );
+};
@@ -2,6 +2,8 @@ import Review from '../models/Review.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
 import { handleResponse, handleError } from '../utils/responseHandler.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import { REVIEW_QUERY, PRODUCT_REVIEW_QUERY } from '../utils/querySchemas.js';
 
 // @desc    Create product review
 // @route   POST /api/reviews/:productId
@@ -77,74 +79,83 @@ export const createReview = async (req, res) => {
     }
 }
 
-// @desc    Get product reviews
+// @desc    Get product reviews; all of them unless page, limit, after or before is given
 // @route   GET /api/reviews/:productId
 // @access  Public
 export const getProductReviews = async (req, res) => {
     try {
         const { productId } = req.params;
-       
-        
-       
 
-        // Fetch the reviews from the database with the specified filters
-        const reviews = await Review.find({
-            product: productId,
-            isApproved: true
-        }).sort({ createdAt: -1 }) // Sort by newest reviews first
-            .populate('user', 'name avatar');  // Populate user details
+        // Only approved reviews, optionally filtered by rating and sorted
+        const features = new APIFeatures(
+            Review.find({ product: productId, isApproved: true }).populate('user', 'name avatar'),
+            req.query,
+            PRODUCT_REVIEW_QUERY
+        )
+            .filter()
+            .sort()
+            .paginate({ optional: true });
+
+        const { items: reviews, nextCursor, prevCursor } = features.paginateResults(await features.query);
 
-        // Fetch the total count of approved reviews for the product
+        // Fetch the total count of matching approved reviews for the product
         const count = await Review.countDocuments({
+            ...features.filterQuery,
             product: productId,
             isApproved: true
         });
 
         // Prepare and send the response
         handleResponse(res, 200, 'Product reviews retrieved', {
-            reviews,        
+            reviews,
+            total: count,
+            pages: features.limit ? Math.ceil(count / features.limit) : 1,
+            page: features.page,
+            nextCursor,
+            prevCursor
         });
 
     } catch (error)  {
+        if (error.statusCode) return handleError(res, error.statusCode, error.message);
         handleError(res, 500, 'Server error while fetching product reviews');
     }
 };
 
 
 
-// @desc    Get all reviews
+// @desc    Get all reviews; all of them unless page, limit, after or before is given
 // @route   GET /api/reviews
 // @access  Private/Admin
 // Get all reviews (with optional filters)
 export const getAllReviews = async (req, res) => {
     try {
-        const { productId, userId, approved } = req.query;
-
-        // Build the filter object
-        let filter = {};
-
-        if (productId) filter.product = productId;
-        if (userId) filter.user = userId;
-        if (approved !== undefined) filter.isApproved = approved === 'true';
-
+        const features = new APIFeatures(Review.find().populate('product user', 'name'), req.query, REVIEW_QUERY)
+            .filter()
+            .sort()
+            .paginate({ optional: true });
 
-        const reviews = await Review.find(filter).populate('product user', 'name') // Populating product and user details
-            .sort({ createdAt: -1 }); // Sort by newest reviews first
+        const [docs, count] = await Promise.all([
+            features.query,
+            Review.countDocuments(features.filterQuery)
+        ]);
+        const { items: reviews, nextCursor, prevCursor } = features.paginateResults(docs);
 
         return res.status(200).json({
             success: true,
             message: 'Product reviews retrieved',
             data: {
                 reviews,
-                total: reviews.length,
-                pages: Math.ceil(reviews.length / 10), // Assuming 10 reviews per page
-                page: 1
+                total: count,
+                pages: features.limit ? Math.ceil(count / features.limit) : 1,
+                page: features.page,
+                nextCursor,
+                prevCursor
             }
         });
     } catch (error) {
-        return res.status(500).json({
+        return res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Server error'
+            message: error.statusCode ? error.message : 'Server error'
         });
     }
 };
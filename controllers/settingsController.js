@@ -2,6 +2,7 @@ import category from '../models/category.js';
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import Settings from '../models/settings.js'
+import { listProviders } from '../utils/payments/index.js';
 // CREATE settings (Admin only)
 // This route creates the settings document only if one does not already exist.
 export const createSettings = async (req, res) => {
@@ -58,16 +59,35 @@ export const getSettings = async (req, res) => {
     }
 };
 
+// Fields an admin may change through PUT /api/settings
+const UPDATABLE_SETTINGS = [
+    'shippingFee', 'returnWindowDays', 'enabledPaymentMethods',
+    'unpaidOrderTimeoutMinutes', 'notifyExpiredPayments',
+    'lowStockThreshold', 'notifyLowStock'
+];
+
 // UPDATE settings (Admin only)
 export const updateSettings = async (req, res) => {
     try {
-        const { shippingFee } = req.body;
-        let settings = await Settings.findOne();
-        if (!settings) {
-            settings = new Settings({ shippingFee });
-        } else {
-            settings.shippingFee = shippingFee;
+        const { enabledPaymentMethods } = req.body;
+
+        if (enabledPaymentMethods) {
+            const known = listProviders().map(p => p.name);
+            const unknown = enabledPaymentMethods.filter(name => !known.includes(name));
+            if (unknown.length) {
+                return res.status(400).json({ error: `Unknown payment methods: ${unknown.join(', ')}` });
+            }
         }
+
+        let settings = await Settings.findOne();
+        if (!settings) settings = new Settings();
+
+        UPDATABLE_SETTINGS
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => {
+                settings[field] = req.body[field];
+            });
+
         await settings.save();
         res.json({ message: 'Settings updated successfully', settings });
     } catch (error) {
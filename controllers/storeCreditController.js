@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { handleResponse, handleError } from '../utils/responseHandler.js';
+import { adjustStoreCredit, getStoreCreditStatement } from '../utils/storeCredit.js';
+
+// @desc    Get the logged in user's store credit balance and history
+// @route   GET /api/store-credit/me
+// @access  Private
+export const getMyStoreCredit = async (req, res) => {
+    try {
+        const statement = await getStoreCreditStatement(req.user._id, { limit: parseLimit(req.query.limit) });
+        handleResponse(res, 200, 'Store credit retrieved', statement);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Get a user's store credit balance and history
+// @route   GET /api/store-credit/users/:userId
+// @access  Admin
+export const getUserStoreCredit = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.userId)) return handleError(res, 400, 'Invalid user ID');
+
+        const statement = await getStoreCreditStatement(req.params.userId, { limit: parseLimit(req.query.limit) });
+        handleResponse(res, 200, 'Store credit retrieved', statement);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// @desc    Add (positive amount) or remove (negative amount) store credit
+// @route   POST /api/store-credit/users/:userId/adjust
+// @access  Admin
+export const adjustUserStoreCredit = async (req, res) => {
+    try {
+        const { amount, note } = req.body;
+        if (!mongoose.isValidObjectId(req.params.userId)) return handleError(res, 400, 'Invalid user ID');
+        if (!note?.trim()) return handleError(res, 400, 'A note explaining the adjustment is required');
+
+        const entry = await adjustStoreCredit({
+            user: req.params.userId,
+            amount,
+            reason: 'adjustment',
+            actor: req.user,
+            note: note.trim()
+        });
+
+        handleResponse(res, 201, 'Store credit adjusted', entry);
+    } catch (error) {
+        handleError(res, error.statusCode || 500, error.message);
+    }
+};
+
+// Helper Functions
+const parseLimit = (limit) => Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
@@ -1,5 +1,7 @@
 import User from '../models/User.js';
 import { handleResponse, handleError } from '../utils/responseHandler.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import { USER_QUERY } from '../utils/querySchemas.js';
 import {
     generateAccessToken,
     generateRefreshToken
@@ -89,30 +91,25 @@ export const updateProfile = async (req, res) => {
 // @access  Admin
 export const getAllUsers = async (req, res) => {
     try {
-        const { page = 1, limit = 20, search } = req.query;
-        const filter = search ? {
-            $or: [
-                { name: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } }
-            ]
-        } : {};
+        const features = new APIFeatures(User.find().select('-password -addresses -verificationToken'), req.query, USER_QUERY)
+            .filter()
+            .sort()
+            .paginate();
 
-        const users = await User.find(filter)
-            .select('-password -addresses -verificationToken')
-            .limit(limit * 1)
-            .skip((page - 1) * limit);
-
-        const count = await User.countDocuments(filter);
+        const { items: users, nextCursor, prevCursor } = features.paginateResults(await features.query);
+        const count = await User.countDocuments(features.filterQuery);
 
         handleResponse(res, 200, 'Users retrieved', {
             users,
             total: count,
-            pages: Math.ceil(count / limit),
-            page: Number(page)
+            pages: Math.ceil(count / features.limit),
+            page: features.page,
+            nextCursor,
+            prevCursor
         });
 
     } catch (error) {
-        handleError(res, 500, error.message);
+        handleError(res, error.statusCode || 500, error.message);
     }
 };
 
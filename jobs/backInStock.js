@@ -0,0 +1,64 @@
+import StockSubscription from '../models/StockSubscription.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { backInStockEmail } from '../utils/emailTemplates.js';
+import { describeLine } from '../utils/pricing.js';
+
+const findInStockVariant = (product, variantId) => {
+    const variant = product.findVariant(variantId);
+    return variant?.isActive && variant.stock > 0 ? variant : null;
+};
+
+// Email subscribers whose product came back in stock. Each subscription is emailed once;
+// one that sold out again before its turn is put back to waiting. At most `limit`
+// subscriptions are handled per run so a big restock is spread over several runs.
+export const sendBackInStockNotifications = async ({ limit = 200 } = {}) => {
+    const due = await StockSubscription.find({ restockedAt: { $ne: null }, notifiedAt: null })
+        .sort('restockedAt')
+        .limit(limit)
+        .populate('product', 'name stock variants');
+
+    // One email per address and product, however many of its variants they waited on
+    const soldOut = [];
+    const groups = new Map();
+    for (const subscription of due) {
+        const { product } = subscription;
+        const variant = product && subscription.variant ? findInStockVariant(product, subscription.variant) : null;
+        const inStock = subscription.variant ? Boolean(variant) : product?.stock > 0;
+
+        if (!inStock) {
+            soldOut.push(subscription._id);
+            continue;
+        }
+
+        const key = `${subscription.email}:${product._id}`;
+        if (!groups.has(key)) groups.set(key, { email: subscription.email, product, variants: [], ids: [] });
+        const group = groups.get(key);
+        group.ids.push(subscription._id);
+        if (variant) group.variants.push(variant);
+    }
+
+    const notified = [];
+    let emailed = 0;
+    for (const { email, product, variants, ids } of groups.values()) {
+        const name = variants.length === 1 ? describeLine(product, variants[0]) : product.name;
+        try {
+            await sendEmail({
+                email,
+                subject: `Back in stock: ${name}`,
+                html: backInStockEmail(name, `${process.env.CLIENT_URL}/products/${product._id}`)
+            });
+            notified.push(...ids);
+            emailed += 1;
+        } catch (error) {
+            // Left due; the next run tries again
+            console.error(`Back in stock email to ${email} failed:`, error.message);
+        }
+    }
+
+    await Promise.all([
+        soldOut.length && StockSubscription.updateMany({ _id: { $in: soldOut } }, { $set: { restockedAt: null } }),
+        notified.length && StockSubscription.updateMany({ _id: { $in: notified } }, { $set: { notifiedAt: new Date() } })
+    ]);
+
+    return { checked: due.length, emailed, notified: notified.length };
+};
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Settings from '../models/settings.js';
+import { releaseOrderResources } from '../utils/inventory.js';
+import { sendOrderEmail } from '../utils/orderEmails.js';
+
+// Orders left in 'Pending Payment' (e.g. the buyer closed the PayFast page) hold
+// stock and coupon uses. Expire them after the configured timeout and release both.
+export const expireUnpaidOrders = async () => {
+    const settings = await Settings.findOne();
+    const timeoutMinutes = settings?.unpaidOrderTimeoutMinutes ?? 60;
+    const cutoff = new Date(Date.now() - timeoutMinutes * 60 * 1000);
+
+    const candidates = await Order.find({ status: 'Pending Payment', createdAt: { $lt: cutoff } })
+        .select('_id')
+        .limit(100);
+
+    let expired = 0;
+    for (const { _id } of candidates) {
+        const order = await expireOrder(_id, timeoutMinutes);
+        if (!order) continue;
+        expired += 1;
+
+        if (settings?.notifyExpiredPayments ?? true) {
+            sendOrderEmail({
+                email: order.shippingAddress.email,
+                subject: 'Your unpaid order has expired',
+                template: 'paymentExpired',
+                order
+            });
+        }
+    }
+
+    return { checked: candidates.length, expired };
+};
+
+// Re-check the status inside the transaction so a payment that lands meanwhile wins
+const expireOrder = async (orderId, timeoutMinutes) => {
+    const session = await mongoose.startSession();
+    let order = null;
+    try {
+        await session.withTransaction(async () => {
+            order = await Order.findOne({ _id: orderId, status: 'Pending Payment' }).session(session);
+            if (!order) return;
+
+            order.changeStatus('Payment Expired', { note: `No payment received within ${timeoutMinutes} minutes` });
+            await releaseOrderResources(order, session);
+            await order.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+    return order;
+};
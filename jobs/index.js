@@ -0,0 +1,39 @@
+import { scheduleJob } from './scheduler.js';
+import { expireUnpaidOrders } from './expireUnpaidOrders.js';
+import { sendLowStockDigest } from './lowStockDigest.js';
+import { sendBackInStockNotifications } from './backInStock.js';
+
+const minutes = (value, fallback) => (Number(value) || fallback) * 60 * 1000;
+
+// Every background job by name. In-process they run every `intervalEnv` minutes
+// (default `defaultMinutes`); on serverless hosts a cron calls GET /api/jobs/:name instead.
+export const JOBS = {
+    'expire-unpaid-orders': {
+        handler: expireUnpaidOrders,
+        intervalEnv: 'EXPIRE_ORDERS_INTERVAL_MINUTES',
+        defaultMinutes: 10,
+        runOnStart: true
+    },
+    'low-stock-digest': {
+        handler: sendLowStockDigest,
+        intervalEnv: 'LOW_STOCK_DIGEST_INTERVAL_MINUTES',
+        defaultMinutes: 24 * 60
+    },
+    'back-in-stock': {
+        handler: sendBackInStockNotifications,
+        intervalEnv: 'BACK_IN_STOCK_INTERVAL_MINUTES',
+        defaultMinutes: 5
+    }
+};
+
+// Set ENABLE_JOBS=false on serverless or secondary instances so only one process runs them
+export const startJobs = () => {
+    if (process.env.ENABLE_JOBS === 'false') return;
+
+    Object.entries(JOBS).forEach(([name, job]) => {
+        scheduleJob(name, {
+            intervalMs: minutes(process.env[job.intervalEnv], job.defaultMinutes),
+            runOnStart: job.runOnStart
+        }, job.handler);
+    });
+};
@@ -0,0 +1,30 @@
+import Settings from '../models/settings.js';
+import User from '../models/User.js';
+import { findLowStock } from '../utils/inventory.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { lowStockDigestEmail } from '../utils/emailTemplates.js';
+
+// Email admins one list of everything at or below its low-stock threshold.
+// Nothing is sent when stock is healthy or the digest is switched off in Settings.
+export const sendLowStockDigest = async ({ force = false } = {}) => {
+    const settings = await Settings.findOne();
+    if (!force && settings?.notifyLowStock === false) return { lines: 0, sent: 0 };
+
+    const lines = await findLowStock({ defaultThreshold: settings?.lowStockThreshold ?? 5 });
+    if (!lines.length) return { lines: 0, sent: 0 };
+
+    const admins = await User.find({ role: 'admin' }).select('email');
+    const html = lowStockDigestEmail(lines);
+
+    let sent = 0;
+    for (const { email } of admins) {
+        try {
+            await sendEmail({ email, subject: `Low stock: ${lines.length} item${lines.length === 1 ? '' : 's'}`, html });
+            sent += 1;
+        } catch (error) {
+            console.error(`Low stock digest to ${email} failed:`, error.message);
+        }
+    }
+
+    return { lines: lines.length, sent };
+};
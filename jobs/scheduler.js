@@ -0,0 +1,48 @@
+// Minimal in-process scheduler: each job runs on a fixed interval, never overlaps
+// itself, and logs instead of crashing the server when it throws.
+const jobs = new Map();
+
+export const scheduleJob = (name, { intervalMs, runOnStart = false }, handler) => {
+    if (jobs.has(name)) stopJob(name);
+
+    const job = { name, intervalMs, handler, running: false, lastRunAt: null, lastError: null };
+    job.timer = setInterval(() => runJob(name), intervalMs);
+    job.timer.unref(); // don't keep the process alive just for jobs
+    jobs.set(name, job);
+
+    if (runOnStart) runJob(name);
+    return job;
+};
+
+export const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job || job.running) return null;
+
+    job.running = true;
+    try {
+        const result = await job.handler();
+        job.lastError = null;
+        return result;
+    } catch (error) {
+        job.lastError = error.message;
+        console.error(`Job ${name} failed:`, error);
+        return null;
+    } finally {
+        job.running = false;
+        job.lastRunAt = new Date();
+    }
+};
+
+export const stopJob = (name) => {
+    const job = jobs.get(name);
+    if (job) clearInterval(job.timer);
+    jobs.delete(name);
+};
+
+export const stopAllJobs = () => {
+    [...jobs.keys()].forEach(stopJob);
+};
+
+export const listJobs = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name, intervalMs, running, lastRunAt, lastError
+}));
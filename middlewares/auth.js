@@ -69,4 +69,10 @@ export const optionalAuth = async (req, res, next) => {
         req.user = null;
         next();
     }
-};
\ No newline at end of file
+};
+// Scheduled calls (Vercel Cron sends the project's CRON_SECRET as a bearer token)
+export const cronAuth = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (secret && req.headers.authorization === `Bearer ${secret}`) return next();
+    return handleError(res, 401, 'Not authorized to run jobs');
+};
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Guest carts live as long as their cookie; untouched ones are then removed by the TTL index
+export const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        unique: true,
+        sparse: true
+    },
+    guestId: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    items: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        variant: mongoose.Schema.Types.ObjectId,
+        quantity: {
+            type: Number,
+            required: true,
+            min: [1, 'Quantity cannot be less than 1']
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Only guest carts expire; merging at login unsets guestId, which takes the cart out of the index
+cartSchema.index({ updatedAt: 1 }, {
+    expireAfterSeconds: GUEST_CART_TTL_SECONDS,
+    partialFilterExpression: { guestId: { $exists: true } }
+});
+
+const sameVariant = (a, b) => String(a || '') === String(b || '');
+
+cartSchema.methods.findItem = function (productId, variantId) {
+    return this.items.find(i => i.product.equals(productId) && sameVariant(i.variant, variantId));
+};
+
+cartSchema.methods.setItemQuantity = function (productId, quantity, variantId) {
+    const line = this.findItem(productId, variantId);
+    if (line) {
+        line.quantity = quantity;
+    } else {
+        this.items.push({ product: productId, variant: variantId, quantity });
+    }
+};
+
+// Fold a guest cart into the user's cart after login; quantities of shared lines are added
+cartSchema.statics.mergeGuestCart = async function (guestId, userId) {
+    const guestCart = await this.findOne({ guestId });
+    if (!guestCart) return null;
+
+    let userCart = await this.findOne({ user: userId });
+    if (!userCart) {
+        guestCart.user = userId;
+        guestCart.guestId = undefined;
+        return guestCart.save();
+    }
+
+    guestCart.items.forEach(item => {
+        const line = userCart.findItem(item.product, item.variant);
+        userCart.setItemQuantity(item.product, (line?.quantity || 0) + item.quantity, item.variant);
+    });
+
+    await userCart.save();
+    await guestCart.deleteOne();
+    return userCart;
+};
+
+export default mongoose.model('Cart', cartSchema);
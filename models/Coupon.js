@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { isScoped, appliesToLine, calculateDiscount } from '../utils/discounts.js';
 
 const couponSchema = new mongoose.Schema({
     code: {
@@ -8,16 +9,57 @@ const couponSchema = new mongoose.Schema({
         uppercase: true,
         trim: true
     },
+    // free_shipping waives the shipping fee; bxgy ("buy X get Y") takes
+    // discountValue percent off the cheapest Y of every X + Y eligible units
     discountType: {
         type: String,
-        enum: ['percentage', 'fixed'],
+        enum: ['percentage', 'fixed', 'free_shipping', 'bxgy'],
         required: true
     },
     discountValue: {
         type: Number,
-        required: true,
+        required: function () { return this.discountType !== 'free_shipping'; },
+        default: function () { return this.discountType === 'bxgy' ? 100 : undefined; },
         min: [0, 'Discount value cannot be negative']
     },
+    buyQuantity: {
+        type: Number,
+        min: [1, 'Buy quantity must be at least 1'],
+        required: function () { return this.discountType === 'bxgy'; }
+    },
+    getQuantity: {
+        type: Number,
+        min: [1, 'Get quantity must be at least 1'],
+        required: function () { return this.discountType === 'bxgy'; }
+    },
+    // Cap on what a percentage coupon can take off
+    maxDiscount: {
+        type: Number,
+        min: [0, 'Max discount cannot be negative']
+    },
+    // Scope: when either list is set, only matching cart lines are discounted
+    applicableProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    applicableCategories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    firstOrderOnly: {
+        type: Boolean,
+        default: false
+    },
+    // Restrict to specific customers; empty lists mean anyone
+    allowedUsers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    allowedEmails: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
     minPurchase: {
         type: Number,
         min: [0, 'Minimum purchase cannot be negative'],
@@ -51,6 +93,22 @@ const couponSchema = new mongoose.Schema({
             default: 0
         }
     }],
+    // One entry per order that consumed the coupon, so a cancellation can give it back
+    redemptions: [{
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        discount: Number,
+        redeemedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     startAt: {
         type: Date, // When the coupon starts being valid
         required: true
@@ -62,6 +120,12 @@ const couponSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Set on codes generated in bulk (see CouponBatch)
+    batch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CouponBatch',
+        index: true
     }
 }, {
     timestamps: true
@@ -71,12 +135,43 @@ couponSchema.methods.isValidForUser = function (userId) {
     return this.usedBy.some(u => u.userId.equals(userId) && u.timesUsed < this.maxUsesPerUser);
 };
 
-couponSchema.methods.applyCoupon = function (subtotal) {
-    const discount = this.discountType === 'percentage'
-        ? (subtotal * this.discountValue) / 100
-        : this.discountValue;
+couponSchema.methods.isScoped = function () {
+    return isScoped(this);
+};
+
+// Whether a cart line ({ product, categories }) falls inside the coupon's scope
+couponSchema.methods.appliesToLine = function (line) {
+    return appliesToLine(this, line);
+};
+
+// Why this coupon can't be used right now, or null when it can.
+// `isFirstOrder` is supplied by the caller since it needs an Order lookup.
+couponSchema.methods.getIneligibilityReason = function ({ user, subtotal, isFirstOrder = true, now = new Date() }) {
+    if (!this.isActive) return 'Invalid coupon code';
+    if (now < this.startAt) return 'Coupon is not live yet';
+    if (now > this.expiresAt) return 'Coupon has expired';
+    if (subtotal < (this.minPurchase || 0)) return `Minimum purchase of Rs ${this.minPurchase} required`;
+    if (this.maxPurchase && subtotal > this.maxPurchase) return `Maximum purchase allowed is Rs ${this.maxPurchase}`;
+    if (this.totalCoupons != null && this.usedCoupons >= this.totalCoupons) return 'Coupon usage limit reached';
+
+    const usage = user && this.usedBy.find(u => u.userId?.equals(user._id));
+    if (usage && usage.timesUsed >= (this.maxUsesPerUser || 1)) return 'Coupon usage limit reached for this user';
+
+    const restricted = this.allowedUsers.length > 0 || this.allowedEmails.length > 0;
+    const allowed = user && (
+        this.allowedUsers.some(id => id.equals(user._id)) ||
+        this.allowedEmails.includes(user.email?.toLowerCase())
+    );
+    if (restricted && !allowed) return 'This coupon is not available for your account';
+
+    if (this.firstOrderOnly && !isFirstOrder) return 'This coupon is only valid on your first order';
+
+    return null;
+};
 
-    return Math.min(discount, subtotal);
+// Discount this coupon gives on the cart; see calculateDiscount for the shape
+couponSchema.methods.applyCoupon = function (lines, { shippingCost = 0 } = {}) {
+    return calculateDiscount(this, lines, { shippingCost });
 };
 
 export default mongoose.model('Coupon', couponSchema);
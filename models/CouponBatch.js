@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// A set of single-use coupons generated together from one template, e.g. for an
+// influencer campaign. The codes themselves are ordinary Coupon documents.
+const couponBatchSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a batch name'],
+        trim: true
+    },
+    prefix: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    // Coupon fields every code in the batch was created with
+    template: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    deactivatedAt: Date
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('CouponBatch', couponBatchSchema);
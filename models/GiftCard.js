@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const giftCardSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    initialBalance: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Gift card value must be positive']
+    },
+    balance: {
+        type: Number,
+        required: true,
+        min: [0, 'Gift card balance cannot be negative']
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    recipientEmail: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    purchasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: String,
+    // Every balance movement: issue, spend on an order, and money put back
+    transactions: [{
+        type: {
+            type: String,
+            enum: ['issue', 'redeem', 'reversal', 'refund', 'adjustment'],
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        note: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Why the card can't pay for an order right now, or null when it can
+giftCardSchema.methods.getIneligibilityReason = function (now = new Date()) {
+    if (!this.isActive) return 'Gift card is no longer active';
+    if (now > this.expiresAt) return 'Gift card has expired';
+    if (this.balance <= 0) return 'Gift card has no balance left';
+    return null;
+};
+
+export default mongoose.model('GiftCard', giftCardSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+export const INVENTORY_REASONS = ['order', 'cancel', 'return', 'adjustment'];
+
+// One stock change on a product (or one of its variants). Written next to every
+// $inc on Product.stock so drifting counts can be traced back to their cause.
+const inventoryMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    delta: {
+        type: Number,
+        required: true
+    },
+    // Stock of the product, or of the variant for variant lines, right after the change
+    stockAfter: Number,
+    reason: {
+        type: String,
+        enum: INVENTORY_REASONS,
+        required: true
+    },
+    // The order or return that caused the change
+    reference: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'referenceModel'
+    },
+    referenceModel: {
+        type: String,
+        enum: ['Order', 'Return']
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ reference: 1 });
+
+export default mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -1,4 +1,54 @@
 import mongoose from 'mongoose';
+import { createError } from '../utils/responseHandler.js';
+
+// Allowed lifecycle moves; anything not listed here is rejected
+export const ORDER_STATUS_TRANSITIONS = {
+    'Pending Payment': ['Processing', 'Cancelled', 'Payment Expired'],
+    Processing: ['Packed', 'Shipped', 'Cancelled'],
+    Packed: ['Shipped', 'Cancelled'],
+    Shipped: ['Delivered', 'Returned'],
+    Delivered: ['Returned', 'Refunded'],
+    Returned: ['Refunded'],
+    Cancelled: ['Refunded'],
+    'Payment Expired': ['Refunded'], // a payment that lands after expiry is refunded
+    Refunded: []
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Statuses in which the customer may still cancel without contacting support
+export const CUSTOMER_CANCELLABLE_STATUSES = ['Pending Payment', 'Processing'];
+
+// One money movement on an order: a captured payment or a (partial) refund
+const transactionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['charge', 'refund'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Transaction amount cannot be negative']
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    reference: String,
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'succeeded'
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: String
+}, {
+    timestamps: true
+});
 
 const orderSchema = new mongoose.Schema({
     user: {
@@ -13,6 +63,11 @@ const orderSchema = new mongoose.Schema({
             ref: 'Product',
             required: true
         },
+        // Set when the product is sold in variants; sku, size and color are copied at purchase
+        variant: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        size: String,
+        color: String,
         name: String,
         quantity: {
             type: Number,
@@ -23,6 +78,10 @@ const orderSchema = new mongoose.Schema({
             type: Number,
             required: true
         },
+        discount: {
+            type: Number,
+            default: 0
+        },
         image: String
     }],
     subtotal: {
@@ -38,10 +97,63 @@ const orderSchema = new mongoose.Schema({
         required: false,
         default: 0
     },
+    // Breakdown of `discount` by the promotion that produced it
+    discounts: [{
+        source: {
+            type: String,
+            enum: ['coupon', 'promotion'],
+            required: true
+        },
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        promotion: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Promotion'
+        },
+        code: String,
+        name: String,
+        type: {
+            type: String,
+            required: true
+        },
+        amount: {
+            type: Number,
+            default: 0
+        },
+        shippingAmount: {
+            type: Number,
+            default: 0
+        }
+    }],
     totalAmount: {
         type: Number,
         required: true
     },
+    // Balances spent on the order; the payment provider only collects what they leave
+    tenders: [{
+        method: {
+            type: String,
+            enum: ['GiftCard', 'StoreCredit'],
+            required: true
+        },
+        giftCard: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'GiftCard'
+        },
+        code: String,
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, 'Tender amount cannot be negative']
+        }
+    }],
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    transactions: [transactionSchema],
     shippingAddress: {
         fullName: String,
         address: String,
@@ -51,9 +163,9 @@ const orderSchema = new mongoose.Schema({
         email: String,
         phone: String
     },
+    // Name of a registered payment provider (see utils/payments)
     paymentMethod: {
         type: String,
-        enum: ['COD', 'PayFast'],
         required: true
     },
     paymentResult: {
@@ -69,9 +181,39 @@ const orderSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['Processing', 'Shipped', 'Delivered', 'Cancelled'],
+        enum: ORDER_STATUSES,
         default: 'Processing'
     },
+    statusHistory: [{
+        status: {
+            type: String,
+            enum: ORDER_STATUSES,
+            required: true
+        },
+        from: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        actorRole: {
+            type: String,
+            enum: ['admin', 'customer', 'system'],
+            default: 'system'
+        },
+        note: String,
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    cancellation: {
+        reason: String,
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        cancelledAt: Date
+    },
     deliveredAt: Date,
     trackingId: {
         type: String,
@@ -81,4 +223,97 @@ const orderSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Default admin listing order; _id keeps cursor pagination stable
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ status: 1, createdAt: -1, _id: -1 });
+
+// Record the initial status so the history always starts at placement
+orderSchema.pre('save', function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({
+            status: this.status,
+            changedBy: this.user,
+            actorRole: this.user ? 'customer' : 'system',
+            note: 'Order placed'
+        });
+    }
+    next();
+});
+
+orderSchema.methods.canTransitionTo = function (status) {
+    return ORDER_STATUS_TRANSITIONS[this.status]?.includes(status) || false;
+};
+
+orderSchema.methods.changeStatus = function (status, { actor, note } = {}) {
+    if (!ORDER_STATUSES.includes(status)) {
+        throw createError(400, 'Invalid status value');
+    }
+    if (!this.canTransitionTo(status)) {
+        throw createError(400, `Cannot change order status from ${this.status} to ${status}`);
+    }
+
+    this.statusHistory.push({
+        status,
+        from: this.status,
+        changedBy: actor?._id,
+        actorRole: actor ? (actor.role === 'admin' ? 'admin' : 'customer') : 'system',
+        note
+    });
+    this.status = status;
+
+    if (status === 'Delivered') {
+        this.deliveredAt = new Date();
+    }
+    return this;
+};
+
+orderSchema.methods.recordTransaction = function ({ type, amount, method, reference, status = 'succeeded', actor, note }) {
+    this.transactions.push({
+        type,
+        amount,
+        method: method || this.paymentMethod,
+        reference,
+        status,
+        actor: actor?._id,
+        note
+    });
+
+    if (type === 'refund' && status === 'succeeded') {
+        this.refundedAmount = Math.round((this.refundedAmount + amount) * 100) / 100;
+    }
+    return this.transactions[this.transactions.length - 1];
+};
+
+// Resolve a pending ledger entry once the payment provider has answered
+orderSchema.methods.settleTransaction = function (transactionId, { status, reference }) {
+    const entry = this.transactions.id(transactionId);
+    if (!entry || entry.status !== 'pending') return null;
+
+    entry.status = status;
+    if (reference) entry.reference = reference;
+    if (entry.type === 'refund' && status === 'succeeded') {
+        this.refundedAmount = Math.round((this.refundedAmount + entry.amount) * 100) / 100;
+    }
+    return entry;
+};
+
+// Money actually taken from the customer, per the ledger, optionally for one method
+orderSchema.methods.capturedAmount = function (method) {
+    return sumTransactions(this.transactions, 'charge', method);
+};
+
+orderSchema.methods.refundedVia = function (method) {
+    return sumTransactions(this.transactions, 'refund', method);
+};
+
+// What is left for the payment provider to collect after gift cards and store credit
+orderSchema.methods.getAmountDue = function () {
+    const tendered = this.tenders.reduce((sum, tender) => sum + tender.amount, 0);
+    return Math.round(Math.max(this.totalAmount - tendered, 0) * 100) / 100;
+};
+
+const sumTransactions = (transactions, type, method) => transactions
+    .filter(t => t.type === type && t.status === 'succeeded' && (!method || t.method === method))
+    .reduce((sum, t) => sum + t.amount, 0);
+
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Every accepted gateway notification, kept so replays are recognised and ignored
+const paymentNotificationSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    paymentId: {
+        type: String,
+        required: true
+    },
+    paymentStatus: {
+        type: String,
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        index: true
+    },
+    payload: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: true
+});
+
+// One record per provider payment and status: a COMPLETE after a PENDING is new, a resent COMPLETE is not
+paymentNotificationSchema.index(
+    { provider: 1, paymentId: 1, paymentStatus: 1 },
+    { unique: true }
+);
+
+export default mongoose.model('PaymentNotification', paymentNotificationSchema);
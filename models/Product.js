@@ -1,4 +1,52 @@
 import mongoose from 'mongoose';
+import { slugify, uniqueSlug } from '../utils/slug.js';
+
+export const PRODUCT_SIZES = ['500ml', '1L', '1.5L', '2L'];
+
+// A sellable version of a product (e.g. the 2L red flask) with its own SKU, price and stock
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'Please enter a SKU for each variant'],
+        uppercase: true,
+        trim: true
+    },
+    size: {
+        type: String,
+        enum: PRODUCT_SIZES
+    },
+    color: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    price: {
+        type: Number,
+        required: [true, 'Please enter a price for each variant'],
+        min: [0, 'Price cannot be negative']
+    },
+    stock: {
+        type: Number,
+        required: true,
+        default: 0,
+        min: [0, 'Stock cannot be negative']
+    },
+    images: [{
+        public_id: {
+            type: String,
+            required: true
+        },
+        url: {
+            type: String,
+            required: true
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -15,10 +63,13 @@ const productSchema = new mongoose.Schema({
         required: [true, 'Please enter product price'],
         min: [0, 'Price cannot be negative']
     },
+    // For products with variants, price, stock and sizes are kept in step with them:
+    // the lowest active price, the total stock and the sizes on offer
     sizes: [{
         type: String,
-        enum: ['500ml', '1L', '1.5L', '2L']
+        enum: PRODUCT_SIZES
     }],
+    variants: [variantSchema],
     categories: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Category'
@@ -29,6 +80,12 @@ const productSchema = new mongoose.Schema({
         default: 0,
         min: [0, 'Stock cannot be negative']
     },
+    // Stock at or below this is reported as low; applies to each variant on its own.
+    // Unset falls back to the store-wide threshold in Settings.
+    lowStockThreshold: {
+        type: Number,
+        min: [0, 'Low stock threshold cannot be negative']
+    },
     images: [{
         public_id: {
             type: String,
@@ -47,7 +104,14 @@ const productSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
-    slug: String
+    // URL name, derived from the name unless set explicitly; unique across products
+    slug: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    // Earlier slugs, so links from before a rename still resolve
+    slugHistory: [String]
 }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -63,5 +127,77 @@ productSchema.virtual('reviews', {
 
 // Create a text index on the 'name' and 'description' fields for search functionality
 productSchema.index({ name: 'text', description: 'text' });
+// Default listing order; _id keeps cursor pagination stable
+productSchema.index({ createdAt: -1, _id: -1 });
+productSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+productSchema.index({ slugHistory: 1 });
+// SKUs are unique across the catalogue; products without variants are left out
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+productSchema.pre('validate', function (next) {
+    if (!this.variants.length) return next();
+
+    const skus = this.variants.map(v => v.sku);
+    if (new Set(skus).size !== skus.length) {
+        this.invalidate('variants', 'Each variant needs its own SKU');
+    }
+
+    const active = this.variants.filter(v => v.isActive);
+    const priced = active.length ? active : this.variants;
+    this.price = Math.min(...priced.map(v => v.price));
+    this.stock = this.variants.reduce((sum, v) => sum + v.stock, 0); // matches the $inc done on each sale
+    this.sizes = [...new Set(active.map(v => v.size).filter(Boolean))];
+    next();
+});
+
+// Remember the stored slug so a rename can move it into the history
+productSchema.post('init', function () {
+    this.$locals.storedSlug = this.slug;
+});
+productSchema.post('save', function () {
+    this.$locals.storedSlug = this.slug;
+});
+
+// New products and renamed ones get a fresh unique slug; an explicit slug is normalised
+productSchema.pre('validate', async function () {
+    const slugEdited = this.isModified('slug') && this.slug;
+    if (this.slug && !slugEdited && !this.isModified('name')) return;
+
+    this.slug = await uniqueSlug(this.constructor, slugify(slugEdited ? this.slug : this.name), {
+        excludeId: this._id,
+        session: this.$session()
+    });
+
+    const previous = this.$locals.storedSlug;
+    if (previous && previous !== this.slug && !this.slugHistory.includes(previous)) {
+        this.slugHistory.push(previous);
+    }
+    // Renaming back to an old name takes its slug back out of the history
+    this.slugHistory = this.slugHistory.filter(slug => slug !== this.slug);
+});
+
+productSchema.methods.hasVariants = function () {
+    return this.variants.length > 0;
+};
+
+productSchema.methods.findVariant = function (variantId) {
+    if (!variantId || !mongoose.isValidObjectId(variantId)) return null;
+    return this.variants.id(variantId);
+};
+
+// The product, or its active variants, whose stock is at or below the threshold
+productSchema.methods.getLowStockLines = function (defaultThreshold = 0) {
+    const threshold = this.lowStockThreshold ?? defaultThreshold;
+    const lines = this.hasVariants()
+        ? this.variants.filter(v => v.isActive).map(v => ({ variant: v._id, sku: v.sku, size: v.size, color: v.color, stock: v.stock }))
+        : [{ stock: this.stock }];
+
+    return lines
+        .filter(line => line.stock <= threshold)
+        .map(line => ({ product: this._id, name: this.name, threshold, ...line }));
+};
 
 export default mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import { appliesToLine, calculateDiscount } from '../utils/discounts.js';
+
+// Automatic cart promotions: no code to type, they apply whenever the cart matches
+const promotionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a promotion name'],
+        trim: true
+    },
+    description: String,
+    // Same discount types as coupons (see utils/discounts.js)
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed', 'free_shipping', 'bxgy'],
+        required: true
+    },
+    discountValue: {
+        type: Number,
+        required: function () { return this.discountType !== 'free_shipping'; },
+        default: function () { return this.discountType === 'bxgy' ? 100 : undefined; },
+        min: [0, 'Discount value cannot be negative']
+    },
+    maxDiscount: {
+        type: Number,
+        min: [0, 'Max discount cannot be negative']
+    },
+    buyQuantity: {
+        type: Number,
+        min: [1, 'Buy quantity must be at least 1'],
+        required: function () { return this.discountType === 'bxgy'; }
+    },
+    getQuantity: {
+        type: Number,
+        min: [1, 'Get quantity must be at least 1'],
+        required: function () { return this.discountType === 'bxgy'; }
+    },
+    // Conditions: cart subtotal and, when set, the products or categories it covers
+    minPurchase: {
+        type: Number,
+        min: [0, 'Minimum purchase cannot be negative'],
+        default: 0
+    },
+    applicableProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    applicableCategories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    // Higher priority is applied first and wins ties between equally good options
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Stackable promotions combine with each other; exclusive ones only apply alone
+    stackable: {
+        type: Boolean,
+        default: false
+    },
+    combinesWithCoupons: {
+        type: Boolean,
+        default: true
+    },
+    startAt: {
+        type: Date,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startAt: 1, expiresAt: 1 });
+
+promotionSchema.methods.isLive = function (now = new Date()) {
+    return this.isActive && this.startAt <= now && now <= this.expiresAt;
+};
+
+// Whether the cart meets the promotion's conditions
+promotionSchema.methods.matchesCart = function (lines, subtotal) {
+    return subtotal >= (this.minPurchase || 0) && lines.some(line => appliesToLine(this, line));
+};
+
+// Discount this promotion gives on the cart; see calculateDiscount for the shape
+promotionSchema.methods.applyPromotion = function (lines, { shippingCost = 0 } = {}) {
+    return calculateDiscount(this, lines, { shippingCost });
+};
+
+export default mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+export const RETURN_STATUSES = ['Requested', 'Approved', 'Rejected', 'Received'];
+
+const returnSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    items: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+        },
+        variant: mongoose.Schema.Types.ObjectId,
+        sku: String,
+        name: String,
+        quantity: {
+            type: Number,
+            required: true,
+            min: [1, 'Quantity cannot be less than 1']
+        },
+        price: {
+            type: Number,
+            required: true
+        }
+    }],
+    reason: {
+        type: String,
+        required: [true, 'Please provide a reason for the return'],
+        maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    photos: [{
+        public_id: String,
+        url: String
+    }],
+    status: {
+        type: String,
+        enum: RETURN_STATUSES,
+        default: 'Requested'
+    },
+    adminNote: String,
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    receivedAt: Date,
+    refundAmount: {
+        type: Number,
+        min: [0, 'Refund amount cannot be negative']
+    }
+}, {
+    timestamps: true
+});
+
+// Value of the returned lines at the price the customer paid
+returnSchema.methods.itemsTotal = function () {
+    return this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+};
+
+export default mongoose.model('Return', returnSchema);
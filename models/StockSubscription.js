@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// A shopper waiting for a sold-out product (or one variant of it) to come back.
+// Restocks mark pending subscriptions as due; jobs/backInStock.js emails them once.
+const stockSubscriptionSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // null waits for the product as a whole
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    email: {
+        type: String,
+        required: [true, 'Please provide an email'],
+        lowercase: true,
+        trim: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set when stock came back; cleared again if it runs out before the email goes out
+    restockedAt: {
+        type: Date,
+        default: null
+    },
+    notifiedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// One subscription per email and product line; subscribing again re-arms it
+stockSubscriptionSchema.index({ product: 1, variant: 1, email: 1 }, { unique: true });
+stockSubscriptionSchema.index({ restockedAt: 1, notifiedAt: 1 });
+
+export default mongoose.model('StockSubscription', stockSubscriptionSchema);
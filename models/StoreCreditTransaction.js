@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Ledger behind User.storeCredit; every change to the balance adds one entry
+const storeCreditTransactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['credit', 'debit'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    },
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    // refund: issued instead of a cash refund; order: spent at checkout;
+    // reversal: given back when that order was cancelled; adjustment: set by an admin
+    reason: {
+        type: String,
+        enum: ['refund', 'order', 'reversal', 'adjustment'],
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: String
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
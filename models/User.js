@@ -45,6 +45,12 @@ const userSchema = new mongoose.Schema({
             default: false
         }
     }],
+    // Spendable at checkout; see StoreCreditTransaction for the history
+    storeCredit: {
+        type: Number,
+        default: 0,
+        min: [0, 'Store credit cannot be negative']
+    },
     isVerified: {
         type: Boolean,
         default: false
@@ -58,6 +64,9 @@ const userSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Default admin listing order; _id keeps cursor pagination stable
+userSchema.index({ createdAt: -1, _id: -1 });
+
 // Password hashing middleware
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) return next();
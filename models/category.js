@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { slugify, uniqueSlug } from '../utils/slug.js';
+import { createError } from '../utils/responseHandler.js';
 
 const categorySchema = new mongoose.Schema({
     name: {
@@ -7,11 +9,86 @@ const categorySchema = new mongoose.Schema({
         unique: true,
         trim: true
     },
+    // URL name, derived from the name unless set explicitly
+    slug: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
     description: String,
+    image: {
+        public_id: String,
+        url: String
+    },
+    // null for top-level categories
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // Every category above this one, root first; kept in step with `parent` on save
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
     isActive: {
         type: Boolean,
         default: true
     }
 }, { timestamps: true });
 
+categorySchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+categorySchema.index({ parent: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Slug and ancestors follow the name and parent
+categorySchema.pre('validate', async function () {
+    const slugEdited = this.isModified('slug') && this.slug;
+    if (!this.slug || slugEdited || this.isModified('name')) {
+        this.slug = await uniqueSlug(this.constructor, slugify(slugEdited ? this.slug : this.name), {
+            excludeId: this._id,
+            session: this.$session()
+        });
+    }
+
+    if (this.isNew || this.isModified('parent')) {
+        if (!this.parent) {
+            this.ancestors = [];
+            return;
+        }
+
+        const parent = await this.constructor.findById(this.parent).select('ancestors').session(this.$session());
+        if (!parent) throw createError(400, 'Parent category not found');
+        if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+            throw createError(400, 'A category cannot be moved under itself or one of its subcategories');
+        }
+        this.ancestors = [...parent.ancestors, parent._id];
+    }
+});
+
+categorySchema.pre('save', function () {
+    this.$locals.moved = !this.isNew && this.isModified('ancestors');
+});
+
+// Moving a category moves its whole subtree: rewrite the part of each descendant's
+// ancestors above this category
+categorySchema.post('save', async function () {
+    if (!this.$locals.moved) return;
+
+    await this.constructor.updateMany(
+        { ancestors: this._id },
+        [{
+            $set: {
+                ancestors: {
+                    $concatArrays: [
+                        this.ancestors,
+                        { $slice: ['$ancestors', { $indexOfArray: ['$ancestors', this._id] }, { $size: '$ancestors' }] }
+                    ]
+                }
+            }
+        }],
+        { session: this.$session() }
+    );
+});
+
 export default mongoose.model('Category', categorySchema);
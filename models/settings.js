@@ -5,6 +5,34 @@ const settingsSchema = new mongoose.Schema({
         type: Number,
         required: true,
         default: 0
+    },
+    enabledPaymentMethods: {
+        type: [String],
+        default: ['COD', 'PayFast']
+    },
+    unpaidOrderTimeoutMinutes: {
+        type: Number,
+        default: 60,
+        min: [5, 'Unpaid order timeout must be at least 5 minutes']
+    },
+    notifyExpiredPayments: {
+        type: Boolean,
+        default: true
+    },
+    returnWindowDays: {
+        type: Number,
+        default: 7,
+        min: [0, 'Return window cannot be negative']
+    },
+    // Products without their own threshold are low at or below this stock
+    lowStockThreshold: {
+        type: Number,
+        default: 5,
+        min: [0, 'Low stock threshold cannot be negative']
+    },
+    notifyLowStock: {
+        type: Boolean,
+        default: true
     }
 }, { timestamps: true });
 
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    reorderToCart
+} from '../controllers/cartController.js';
+import { optionalAuth } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+router.get('/', optionalAuth, getCart);
+router.delete('/', optionalAuth, clearCart);
+router.post('/items', optionalAuth, addCartItem);
+router.put('/items/:productId', optionalAuth, updateCartItem);
+router.delete('/items/:productId', optionalAuth, removeCartItem);
+router.post('/reorder/:orderId', optionalAuth, reorderToCart);
+
+export default router;
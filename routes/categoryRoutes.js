@@ -2,18 +2,21 @@ import express from 'express';
 import {
     createCategory,
     getCategories,
+    getCategoryTree,
     getCategoryById,
     updateCategory,
     deleteCategory,
 } from '../controllers/categoryController.js';
-import { protect, admin } from '../middlewares/auth.js';
+import { protect, admin, optionalAuth } from '../middlewares/auth.js';
+import { upload } from '../config/cloudinary.js';
 
 const router = express.Router();
 
-router.post('/', protect, admin, createCategory);
+router.post('/', protect, admin, upload, createCategory);
 router.get('/', getCategories);
+router.get('/tree', optionalAuth, getCategoryTree);
 router.get('/:id', getCategoryById);
-router.put('/:id', protect, admin, updateCategory);
+router.put('/:id', protect, admin, upload, updateCategory);
 router.delete('/:id', protect, admin, deleteCategory);
 
 export default router;
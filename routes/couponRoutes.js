@@ -5,7 +5,14 @@ import {
     validateCoupon,
     updateCoupon,
     deleteCoupon,
-    getAllCoupons
+    getAllCoupons,
+    createCouponBatch,
+    getCouponBatches,
+    getBatchCoupons,
+    exportBatchCoupons,
+    deactivateCouponBatch,
+    getCouponStats,
+    getCouponLeaderboard
 } from '../controllers/couponController.js';
 import { protect, admin } from '../middlewares/auth.js';
 
@@ -14,7 +21,14 @@ const router = express.Router();
 router.post('/', protect, admin, createCoupon);
 router.get('/all', protect, admin, getAllCoupons);
 router.get('/', getActiveCoupons);
+router.get('/leaderboard', protect, admin, getCouponLeaderboard);
 router.post('/validate', protect, validateCoupon);
+router.post('/batches', protect, admin, createCouponBatch);
+router.get('/batches', protect, admin, getCouponBatches);
+router.get('/batches/:id/coupons', protect, admin, getBatchCoupons);
+router.get('/batches/:id/export', protect, admin, exportBatchCoupons);
+router.put('/batches/:id/deactivate', protect, admin, deactivateCouponBatch);
+router.get('/:code/stats', protect, admin, getCouponStats);
 router.put('/:code', protect, admin, updateCoupon);
 router.delete('/:code', protect, admin, deleteCoupon);
 
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+    issueGiftCard,
+    getGiftCards,
+    getGiftCard,
+    deactivateGiftCard
+} from '../controllers/giftCardController.js';
+import { protect, admin } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+router.post('/', protect, admin, issueGiftCard);
+router.get('/', protect, admin, getGiftCards);
+router.get('/:code', protect, getGiftCard);
+router.put('/:code/deactivate', protect, admin, deactivateGiftCard);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+    getInventoryMovements,
+    createStockAdjustment,
+    getLowStock,
+    sendLowStockDigestNow
+} from '../controllers/inventoryController.js';
+import { protect, admin } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+router.get('/movements', protect, admin, getInventoryMovements);
+router.post('/adjustments', protect, admin, createStockAdjustment);
+router.get('/low-stock', protect, admin, getLowStock);
+router.post('/low-stock/digest', protect, admin, sendLowStockDigestNow);
+
+export default router;
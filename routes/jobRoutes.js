@@ -0,0 +1,9 @@
+import express from 'express';
+import { runJobNow } from '../controllers/jobController.js';
+import { cronAuth } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+router.get('/:name', cronAuth, runJobNow);
+
+export default router;
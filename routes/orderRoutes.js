@@ -7,13 +7,18 @@ import { protect, admin, optionalAuth } from '../middlewares/auth.js';
 const router = express.Router();
 
 router.post('/', optionalAuth, orderController.createOrder);
+router.post('/quote', optionalAuth, orderController.getOrderQuote);
 router.get('/my-orders', protect, orderController.getUserOrders);
 router.get('/', protect, admin, orderController.getAllOrders);
 router.get('/sales', protect, admin, orderController.getSalesStats);
+router.get('/payment-methods', orderController.getPaymentMethods);
 router.get('/:id', protect, orderController.getOrderById);
+router.get('/:id/history', protect, orderController.getOrderHistory);
 router.put('/:id/status', protect, admin, orderController.updateOrderStatus);
-router.post('/notify', orderController.handlePayfastNotification);
-
-// router.post('/create-payment-intent', protect, createPaymentIntent);
+router.post('/:id/cancel', protect, orderController.cancelOrder);
+router.post('/:id/refunds', protect, admin, orderController.refundOrder);
+router.get('/:id/transactions', protect, admin, orderController.getOrderTransactions);
+router.post('/notify', orderController.handlePaymentWebhook);
+router.post('/webhooks/:provider', orderController.handlePaymentWebhook);
 
 export default router;
\ No newline at end of file
@@ -3,13 +3,20 @@ import {
     getAllProducts,
     searchProducts,
     getProductById,
+    getProductBySlug,
     getRecentProducts,
     createProduct,
     updateProduct,
     deleteProduct,
-    getProductsByCategories
+    getProductsByCategories,
+    addVariant,
+    updateVariant,
+    deleteVariant,
+    subscribeToRestock,
+    suggestProducts,
+    getWaitingList
 } from '../controllers/productController.js';
-import { protect, admin } from '../middlewares/auth.js';
+import { protect, admin, optionalAuth } from '../middlewares/auth.js';
 import { upload } from '../config/cloudinary.js';
 
 const router = express.Router();
@@ -19,6 +26,9 @@ router.get('/recent', getRecentProducts);
 router.get('/by-categories', getProductsByCategories);
 
 router.get('/search', searchProducts);
+router.get('/suggest', suggestProducts);
+router.get('/waiting-list', protect, admin, getWaitingList);
+router.get('/slug/:slug', getProductBySlug);
 router.get('/:id', getProductById);
 
 router.post(
@@ -37,4 +47,10 @@ router.put(
 );
 router.delete('/:id', protect, admin, deleteProduct);
 
+router.post('/:id/variants', protect, admin, upload, addVariant);
+router.put('/:id/variants/:variantId', protect, admin, upload, updateVariant);
+router.delete('/:id/variants/:variantId', protect, admin, deleteVariant);
+
+router.post('/:id/notify-me', optionalAuth, subscribeToRestock);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    createPromotion,
+    getActivePromotions,
+    getAllPromotions,
+    updatePromotion,
+    deletePromotion
+} from '../controllers/promotionController.js';
+import { protect, admin } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+router.post('/', protect, admin, createPromotion);
+router.get('/all', protect, admin, getAllPromotions);
+router.get('/', getActivePromotions);
+router.put('/:id', protect, admin, updatePromotion);
+router.delete('/:id', protect, admin, deletePromotion);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+    createReturn,
+    getMyReturns,
+    getAllReturns,
+    getReturnById,
+    approveReturn,
+    rejectReturn,
+    receiveReturn
+} from '../controllers/returnController.js';
+import { protect, admin } from '../middlewares/auth.js';
+import { upload } from '../config/cloudinary.js';
+
+const router = express.Router();
+
+router.post('/', protect, upload, createReturn);
+router.get('/my-returns', protect, getMyReturns);
+router.get('/', protect, admin, getAllReturns);
+router.get('/:id', protect, getReturnById);
+router.put('/:id/approve', protect, admin, approveReturn);
+router.put('/:id/reject', protect, admin, rejectReturn);
+router.put('/:id/receive', protect, admin, receiveReturn);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import {
+    getMyStoreCredit,
+    getUserStoreCredit,
+    adjustUserStoreCredit
+} from '../controllers/storeCreditController.js';
+import { protect, admin } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+router.get('/me', protect, getMyStoreCredit);
+router.get('/users/:userId', protect, admin, getUserStoreCredit);
+router.post('/users/:userId/adjust', protect, admin, adjustUserStoreCredit);
+
+export default router;
@@ -0,0 +1,42 @@
+// One-off migration: npm run migrate:slugs
+//
+// Products created before slugs were unique may share a slug or have none. The oldest
+// product keeps a shared slug and the others get a fresh one; once nothing clashes the
+// unique slug index, which cannot be built over duplicates, is created. Safe to re-run.
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Product from '../models/Product.js';
+import { slugify, uniqueSlug } from '../utils/slug.js';
+
+const backfillProductSlugs = async () => {
+    const clashes = await Product.aggregate([
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: '$slug', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { $or: [{ count: { $gt: 1 } }, { _id: null }] } }
+    ]);
+
+    let fixed = 0;
+    for (const { _id: slug, ids } of clashes) {
+        for (const id of slug ? ids.slice(1) : ids) {
+            const product = await Product.findById(id).select('name');
+            const fresh = await uniqueSlug(Product, slugify(product.name), { excludeId: id });
+            // Skip validation: older products may not pass today's schema
+            await Product.updateOne({ _id: id }, { $set: { slug: fresh } });
+            fixed += 1;
+        }
+    }
+
+    await Product.createIndexes();
+    return { fixed };
+};
+
+try {
+    await connectDB();
+    const { fixed } = await backfillProductSlugs();
+    console.log(`Product slugs backfilled: ${fixed} product(s) updated`);
+} catch (error) {
+    console.error('Slug backfill failed:', error);
+    process.exitCode = 1;
+} finally {
+    await mongoose.disconnect();
+}
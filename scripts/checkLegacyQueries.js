@@ -0,0 +1,85 @@
+// Offline check: npm run check:queries
+//
+// The query strings the storefront and admin panel already send must keep building the
+// filters they always did, including unlisted params like cache busters, which are ignored.
+// Builds the queries without running them, so no database is needed.
+import assert from 'node:assert/strict';
+import Product from '../models/Product.js';
+import Review from '../models/Review.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import { PRODUCT_QUERY, REVIEW_QUERY, PRODUCT_REVIEW_QUERY, ORDER_QUERY, USER_QUERY } from '../utils/querySchemas.js';
+
+const CATEGORY = '64b7f0a1c2d3e4f5a6b7c8d9';
+const OTHER_CATEGORY = '64b7f0a1c2d3e4f5a6b7c8da';
+const USER = '64b7f0a1c2d3e4f5a6b7c8db';
+const NOISE = { _: '1712345678901', utm_source: 'newsletter', fbclid: 'abc' };
+
+const build = (model, queryString, schema, { optional = false, search = false } = {}) => {
+    let features = new APIFeatures(model.find(), queryString, schema).filter();
+    if (search) features = features.search({ fuzzy: true });
+    return features.sort().paginate({ optional });
+};
+
+const checks = {
+    'storefront product listing': () => {
+        const features = build(Product, {
+            categories: `${CATEGORY},${OTHER_CATEGORY}`,
+            sizes: '1L,2L',
+            price: { gte: '100', lte: '500' },
+            sort: '-price',
+            page: '2',
+            limit: '12',
+            ...NOISE
+        }, PRODUCT_QUERY);
+
+        assert.deepEqual(features.filterQuery, {
+            categories: { $in: [CATEGORY, OTHER_CATEGORY] },
+            sizes: { $in: ['1L', '2L'] },
+            price: { $gte: 100, $lte: 500 }
+        });
+        assert.equal(features.query.getOptions().skip, 12);
+        assert.equal(features.query.getOptions().limit, 12);
+    },
+
+    'product search': () => {
+        const features = build(Product, { q: 'flask', categories: CATEGORY, ...NOISE }, PRODUCT_QUERY, { search: true });
+        assert.deepEqual(features.filterQuery.categories, CATEGORY);
+        assert.equal(features.filterQuery.$and.length, 1);
+    },
+
+    'product page reviews': () => {
+        const features = build(Review, { page: '1', limit: '5', ...NOISE }, PRODUCT_REVIEW_QUERY, { optional: true });
+        assert.deepEqual(features.filterQuery, {});
+        assert.equal(features.limit, 5);
+    },
+
+    'admin review moderation': () => {
+        const features = build(Review, { productId: CATEGORY, userId: USER, approved: 'false', ...NOISE }, REVIEW_QUERY, { optional: true });
+        assert.deepEqual(features.filterQuery, { product: CATEGORY, user: USER, isApproved: false });
+        assert.equal(features.limit, null);
+    },
+
+    'admin order listing': () => {
+        const features = build(Order, { page: '1', limit: '20', status: 'Processing', ...NOISE }, ORDER_QUERY);
+        assert.deepEqual(features.filterQuery, { status: 'Processing' });
+    },
+
+    'admin user search': () => {
+        const features = build(User, { page: '1', limit: '20', search: 'ali', ...NOISE }, USER_QUERY);
+        assert.equal(features.filterQuery.$or.length, 2);
+    }
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+    try {
+        check();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed += 1;
+        console.error(`FAIL ${name}: ${error.message}`);
+    }
+}
+process.exit(failed ? 1 : 0);
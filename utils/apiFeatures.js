@@ -1,58 +1,326 @@
+import mongoose from 'mongoose';
+import { createError } from './responseHandler.js';
+import { fuzzyNameFilter } from './search.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Query string keys handled by APIFeatures itself rather than the schema's filters
+const CONTROL_PARAMS = ['page', 'sort', 'limit', 'fields', 'q', 'after', 'before'];
+
+const RANGE_OPS = ['gt', 'gte', 'lt', 'lte', 'between'];
+const DEFAULT_OPS = {
+    string: ['eq', 'ne', 'in', 'nin', 'exists'],
+    objectId: ['eq', 'ne', 'in', 'nin', 'exists'],
+    boolean: ['eq', 'exists'],
+    number: ['eq', 'ne', 'in', 'nin', 'exists', ...RANGE_OPS],
+    date: ['eq', 'ne', 'exists', ...RANGE_OPS]
+};
+
+// Turn one query string value into the field's type, or fail with a 400
+const coerce = (key, spec, raw) => {
+    if (typeof raw !== 'string') throw createError(400, `Invalid value for ${key}`);
+    const value = raw.trim();
+
+    switch (spec.type) {
+        case 'number': {
+            const number = Number(value);
+            if (value === '' || Number.isNaN(number)) throw createError(400, `${key} must be a number`);
+            return number;
+        }
+        case 'boolean':
+            if (!['true', 'false'].includes(value)) throw createError(400, `${key} must be true or false`);
+            return value === 'true';
+        case 'date': {
+            const date = new Date(value);
+            if (value === '' || Number.isNaN(date.getTime())) throw createError(400, `${key} must be a date`);
+            return date;
+        }
+        case 'objectId':
+            if (!mongoose.isValidObjectId(value)) throw createError(400, `${key} must be a valid id`);
+            return value;
+        default: {
+            const text = spec.case === 'upper' ? value.toUpperCase() : spec.case === 'lower' ? value.toLowerCase() : value;
+            if (spec.values && !spec.values.includes(text)) {
+                throw createError(400, `${key} must be one of: ${spec.values.join(', ')}`);
+            }
+            return text;
+        }
+    }
+};
+
+const coerceList = (key, spec, raw) => {
+    const items = Array.isArray(raw) ? raw : String(raw).split(',');
+    return items.map(item => coerce(key, spec, item));
+};
+
+// `?price=5`, `?price[gte]=5&price[lt]=10`, `?price[between]=5,10`, `?status[in]=a,b`,
+// `?trackingId[exists]=true`; list fields also take `?sizes=1L,2L` for `in`
+const parseCondition = (key, spec, raw) => {
+    if (Array.isArray(raw)) return { $in: coerceList(key, spec, raw) };
+    if (typeof raw === 'string') {
+        return spec.list && raw.includes(',') ? { $in: coerceList(key, spec, raw) } : { $eq: coerce(key, spec, raw) };
+    }
+    if (!raw || typeof raw !== 'object') throw createError(400, `Invalid value for ${key}`);
+
+    const allowed = spec.ops || DEFAULT_OPS[spec.type || 'string'];
+    const condition = {};
+    for (const [op, value] of Object.entries(raw)) {
+        if (!allowed.includes(op)) {
+            throw createError(400, `Unsupported operator "${op}" for ${key}; use one of: ${allowed.join(', ')}`);
+        }
+
+        if (op === 'in' || op === 'nin') {
+            condition[`$${op}`] = coerceList(key, spec, value);
+        } else if (op === 'exists') {
+            condition.$exists = coerce(key, { type: 'boolean' }, value);
+        } else if (op === 'between') {
+            const bounds = coerceList(key, spec, value);
+            if (bounds.length !== 2) throw createError(400, `${key}[between] takes two values: min,max`);
+            condition.$gte = bounds[0];
+            condition.$lte = bounds[1];
+        } else {
+            condition[`$${op}`] = coerce(key, spec, value);
+        }
+    }
+    return condition;
+};
+
+// Build a Mongo filter from the query string, using only what `schema.filters`
+// lists. Each filter is `{ type, path, values, list, case, ops, virtual }`:
+// - type: string (default), number, boolean, date or objectId; values are coerced to it
+// - path: field to filter on when it differs from the query key
+// - values: allowed values; list: comma-separated plain values mean `in`
+// - case: 'lower' or 'upper' to normalise strings; ops: narrow the allowed operators
+// - virtual: parsed, but left to `schema.build(filter, params)` to turn into conditions
+export const buildFilter = (queryString, schema = {}) => {
+    const filters = schema.filters || {};
+    const filter = {};
+    const params = {};
+
+    for (const [key, raw] of Object.entries(queryString)) {
+        if (CONTROL_PARAMS.includes(key)) continue;
+
+        // Keys the schema doesn't list (cache busters, tracking tags, params older clients
+        // still send) are ignored rather than rejected; they never reach the query
+        const spec = filters[key];
+        if (!spec) continue;
+
+        const condition = parseCondition(key, spec, raw);
+        const value = Object.keys(condition).length === 1 && '$eq' in condition ? condition.$eq : condition;
+
+        if (spec.virtual) {
+            params[key] = value;
+        } else {
+            const path = spec.path || key;
+            filter[path] = filter[path] && typeof filter[path] === 'object' && typeof value === 'object'
+                ? { ...filter[path], ...value }
+                : value;
+        }
+    }
+
+    return schema.build ? schema.build(filter, params) : filter;
+};
+
+// Cursors are opaque to clients: the sort they belong to and the last row's sort values
+const encodeCursor = (sortKey, values) =>
+    Buffer.from(EJSON.stringify({ s: sortKey, v: values })).toString('base64url');
+
+const decodeCursor = (cursor, sortKey) => {
+    try {
+        const { s, v } = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (s === sortKey && Array.isArray(v)) return v;
+    } catch {
+        // fall through
+    }
+    throw createError(400, 'Invalid cursor; start again without after/before');
+};
+
+// Mongo sorts null and missing values below everything else, so "past null" going up
+// is any value, and going down past a value includes the nulls. Null when nothing qualifies.
+const pastValue = (field, op, value) => {
+    if (value === null) return op === '$gt' ? { [field]: { $ne: null } } : null;
+    return op === '$gt'
+        ? { [field]: { $gt: value } }
+        : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Rows strictly after `values` in the sort order (before them with `reverse`), e.g. for
+// -createdAt,_id: createdAt < v0, or createdAt = v0 and _id < v1
+const seekFilter = (sortSpec, values, reverse) => ({
+    $or: sortSpec.map(([field, direction], i) => {
+        const forward = direction === 1 ? '$gt' : '$lt';
+        const op = reverse ? (forward === '$gt' ? '$lt' : '$gt') : forward;
+        const past = pastValue(field, op, values[i]);
+        if (!past) return null;
+
+        const condition = { ...past };
+        sortSpec.slice(0, i).forEach(([previous], j) => {
+            condition[previous] = values[j];
+        });
+        return condition;
+    }).filter(Boolean)
+});
+
+// List endpoints share one query language; see buildFilter and utils/querySchemas.js
 export default class APIFeatures {
-    constructor(query, queryString) {
+    constructor(query, queryString, schema = {}) {
         this.query = query;
         this.queryString = queryString;
+        this.schema = schema;
         this.page = 1;
         this.limit = 20;
     }
 
     filter() {
-        const queryObj = { ...this.queryString };
-        const excludedFields = ['page', 'sort', 'limit', 'fields'];
-        excludedFields.forEach(el => delete queryObj[el]);
+        this.filterQuery = buildFilter(this.queryString, this.schema);
+        this.query = this.query.find(this.filterQuery);
+        return this;
+    }
 
-        // Advanced filtering
-        let queryStr = JSON.stringify(queryObj);
-        queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
+    // Match `q` with the text index, or with fuzzy name matching when `fuzzy` is set
+    // (the text index has no typo tolerance). Call after filter().
+    search({ fuzzy = false } = {}) {
+        const { q } = this.queryString;
+        if (!q) return this;
 
-        this.filterQuery = JSON.parse(queryStr);
+        const searchFilter = fuzzy ? fuzzyNameFilter(q) : { $text: { $search: q } };
+        this.query = this.query.find(searchFilter);
+        this.searchFilter = searchFilter;
+        this.filterQuery = { ...this.filterQuery };
+        Object.entries(searchFilter).forEach(([key, value]) => {
+            this.filterQuery[key] = key === '$and' ? [...(this.filterQuery.$and || []), ...value] : value;
+        });
+        this.textSearch = !fuzzy;
+        return this;
+    }
 
-        // Handle category/size arrays
-        if (this.filterQuery.categories) {
-            this.filterQuery.categories = { $in: this.filterQuery.categories.split(',') };
+    sort() {
+        const { sort } = this.queryString;
+        if (!sort && this.textSearch) {
+            // Most relevant first
+            this.query = this.query
+                .select({ score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } });
+            return this;
         }
-        if (this.filterQuery.sizes) {
-            this.filterQuery.sizes = { $in: this.filterQuery.sizes.split(',') };
+
+        const sortBy = sort
+            ? String(sort).split(',').map(field => field.trim()).filter(Boolean)
+            : (this.schema.defaultSort || '-createdAt').split(' ');
+        if (sort) {
+            const allowed = this.schema.sorts || [];
+            const unknown = sortBy.filter(field => !allowed.includes(field.replace(/^-/, '')));
+            if (unknown.length) {
+                throw createError(400, `Cannot sort by ${unknown.join(', ')}; use one of: ${allowed.join(', ') || 'none'}`);
+            }
         }
 
-        this.query = this.query.find(this.filterQuery);
+        // _id breaks ties so the order is stable across pages
+        this.sortSpec = sortBy.map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]));
+        if (!this.sortSpec.some(([field]) => field === '_id')) {
+            this.sortSpec.push(['_id', this.sortSpec[this.sortSpec.length - 1][1]]);
+        }
+        this.query = this.query.sort(Object.fromEntries(this.sortSpec));
         return this;
     }
 
-    sort() {
-        if (this.queryString.sort) {
-            const sortBy = this.queryString.sort.split(',').join(' ');
-            this.query = this.query.sort(sortBy);
-        } else {
-            this.query = this.query.sort('-createdAt');
+    limitFields() {
+        const { fields } = this.queryString;
+        if (!fields) return this;
+
+        const allowed = this.schema.fields;
+        if (!allowed) throw createError(400, 'Choosing fields is not supported here');
+
+        const selected = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = selected.filter(field => !allowed.includes(field.replace(/^-/, '')));
+        if (unknown.length) throw createError(400, `Unknown fields: ${unknown.join(', ')}`);
+
+        const excluded = selected.filter(field => field.startsWith('-'));
+        if (excluded.length && excluded.length !== selected.length) {
+            throw createError(400, 'fields cannot mix included and excluded fields');
         }
+
+        this.query = this.query.select(selected.join(' '));
         return this;
     }
 
-    limitFields() {
-        if (this.queryString.fields) {
-            const fields = this.queryString.fields.split(',').join(' ');
-            this.query = this.query.select(fields);
+    // Page numbers (`?page=2`) by default; `?after=<cursor>` or `?before=<cursor>` switch to
+    // cursor pagination, which stays fast and stable on big, changing collections. An empty
+    // `after=` starts cursor mode on the first page. With `optional`, a request that sends
+    // none of page, limit, after or before gets every row (limit is then null).
+    // Call after sort() and limitFields().
+    paginate({ optional = false } = {}) {
+        const { page, limit, after, before } = this.queryString;
+        if (optional && [page, limit, after, before].every(value => value === undefined)) {
+            this.page = 1;
+            this.limit = null;
+            this.cursorMode = false;
+            return this;
         }
+
+        const maxLimit = this.schema.maxLimit || 100;
+        this.limit = Math.min(Math.max(parseInt(this.queryString.limit, 10) || 20, 1), maxLimit);
+
+        this.cursorMode = after !== undefined || before !== undefined;
+        if (!this.cursorMode) {
+            this.page = Math.max(parseInt(page, 10) || 1, 1);
+            const skip = (this.page - 1) * this.limit;
+
+            this.query = this.query.skip(skip).limit(this.limit);
+            return this;
+        }
+
+        if (!this.sortSpec) throw createError(400, 'Cursor pagination needs a sort order; it is not available for relevance-ranked search');
+        if (after && before) throw createError(400, 'Use either after or before, not both');
+
+        this.page = null;
+        this.sortKey = this.sortSpec.map(([field, direction]) => `${direction === -1 ? '-' : ''}${field}`).join(',');
+        this.backwards = Boolean(before);
+        this.fromCursor = Boolean(after || before);
+
+        // The sort values are needed to build the next cursor
+        const projection = this.query.projection();
+        if (projection && Object.values(projection).some(value => value === 1)) {
+            this.query = this.query.select(this.sortSpec.map(([field]) => field).join(' '));
+        } else if (projection && this.sortSpec.some(([field]) => projection[field] === 0)) {
+            throw createError(400, 'Cannot exclude a sort field when paginating with cursors');
+        }
+
+        if (this.fromCursor) {
+            this.query = this.query.and([seekFilter(this.sortSpec, decodeCursor(after || before, this.sortKey), this.backwards)]);
+        }
+        if (this.backwards) {
+            this.query = this.query.sort(Object.fromEntries(this.sortSpec.map(([field, direction]) => [field, -direction])));
+        }
+
+        // One extra row tells whether there is another page
+        this.query = this.query.limit(this.limit + 1);
         return this;
     }
 
-    paginate() {
-        this.page = parseInt(this.queryString.page, 10) || 1;
-        this.limit = parseInt(this.queryString.limit, 10) || 20;
-        const skip = (this.page - 1) * this.limit;
+    // Trim the rows fetched in cursor mode to one page and work out the cursors around
+    // it. In page mode the rows are returned unchanged with null cursors.
+    paginateResults(docs) {
+        if (!this.cursorMode) return { items: docs, nextCursor: null, prevCursor: null };
 
-        this.query = this.query.skip(skip).limit(this.limit);
-        return this;
+        const hasMore = docs.length > this.limit;
+        const items = docs.slice(0, this.limit);
+        if (this.backwards) items.reverse();
+
+        const cursorFor = (doc) => doc && encodeCursor(
+            this.sortKey,
+            this.sortSpec.map(([field]) => (doc.get ? doc.get(field) : doc[field]) ?? null)
+        );
+
+        // Going forwards there is a previous page whenever we came from a cursor, and a
+        // next one when the extra row turned up; going backwards it is the other way round
+        const hasNext = this.backwards ? true : hasMore;
+        const hasPrev = this.backwards ? hasMore : this.fromCursor;
+
+        return {
+            items,
+            nextCursor: hasNext ? cursorFor(items[items.length - 1]) || null : null,
+            prevCursor: hasPrev ? cursorFor(items[0]) || null : null
+        };
     }
-}
\ No newline at end of file
+}
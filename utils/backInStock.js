@@ -0,0 +1,25 @@
+import StockSubscription from '../models/StockSubscription.js';
+
+// Most pending subscriptions one email address may hold, so the form can't be used to spam
+export const MAX_SUBSCRIPTIONS_PER_EMAIL = 20;
+
+// Lines that went from zero to positive stock in a change of `delta`
+export const wasRestocked = (stockAfter, delta) => stockAfter > 0 && stockAfter - delta <= 0;
+
+// Mark everyone waiting on the restocked lines as due. Runs in the same transaction as
+// the stock change, so an aborted change never emails anyone; the back-in-stock job sends.
+// `lines` are `{ product, variant }`, with variant null for the product as a whole.
+export const markRestocked = async (lines, session = null) => {
+    if (!lines.length) return;
+
+    await StockSubscription.updateMany(
+        {
+            $or: lines.map(({ product, variant }) => ({ product, variant: variant || null })),
+            notifiedAt: null,
+            restockedAt: null
+        },
+        { $set: { restockedAt: new Date() } },
+        { session }
+    );
+};
+
@@ -0,0 +1,80 @@
+import Category from '../models/category.js';
+import Product from '../models/Product.js';
+
+// Products per category: `productCount` counts products filed directly under it,
+// `totalProducts` distinct products anywhere in its subtree and `inStockProducts`
+// the subset of those that can be bought now. Keyed by category id.
+export const getCategoryCounts = async (categories) => {
+    const byId = new Map(categories.map(c => [String(c._id), c]));
+    const counts = new Map(categories.map(c => [String(c._id), { productCount: 0, totalProducts: 0, inStockProducts: 0 }]));
+
+    // One row per distinct combination of categories, so each product is counted once
+    const combinations = await Product.aggregate([
+        { $match: { 'categories.0': { $exists: true } } },
+        {
+            $group: {
+                _id: '$categories',
+                count: { $sum: 1 },
+                inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } }
+            }
+        }
+    ]);
+
+    for (const { _id: categoryIds, count, inStock } of combinations) {
+        const subtrees = new Set();
+        for (const id of categoryIds.map(String)) {
+            const category = byId.get(id);
+            if (!category) continue;
+
+            counts.get(id).productCount += count;
+            [id, ...category.ancestors.map(String)].forEach(key => subtrees.add(key));
+        }
+        for (const key of subtrees) {
+            const entry = counts.get(key);
+            if (!entry) continue;
+            entry.totalProducts += count;
+            entry.inStockProducts += inStock;
+        }
+    }
+
+    return counts;
+};
+
+// Nest categories under their parents, with counts; children are sorted by name.
+// A category whose parent is not in the list becomes a root.
+export const buildCategoryTree = (categories, counts = new Map()) => {
+    const nodes = new Map(categories.map(c => [String(c._id), {
+        _id: c._id,
+        name: c.name,
+        slug: c.slug,
+        description: c.description,
+        image: c.image?.url ? c.image : undefined,
+        isActive: c.isActive,
+        parent: c.parent,
+        ...counts.get(String(c._id)),
+        children: []
+    }]));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(String(node.parent));
+        (parent ? parent.children : roots).push(node);
+    }
+
+    const sortByName = (list) => {
+        list.sort((a, b) => a.name.localeCompare(b.name));
+        list.forEach(node => sortByName(node.children));
+        return list;
+    };
+    return sortByName(roots);
+};
+
+// Root-to-leaf trail for a category, e.g. Home > Bottles > Insulated
+export const getBreadcrumbs = async (categoryId) => {
+    const category = await Category.findById(categoryId).select('name slug ancestors');
+    if (!category) return [];
+
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug');
+    return [...category.ancestors.map(id => ancestors.find(a => a._id.equals(id))).filter(Boolean), category]
+        .map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
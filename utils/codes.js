@@ -0,0 +1,8 @@
+import crypto from 'crypto';
+
+// No 0/O or 1/I look-alikes, so codes survive being read out or typed from print.
+// 32 symbols divide 256 evenly, so `byte % 32` has no bias.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const randomCode = (length) =>
+    Array.from(crypto.randomBytes(length), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
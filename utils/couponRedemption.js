@@ -0,0 +1,100 @@
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import { createError } from './responseHandler.js';
+
+// Coupons are checked freely (preview) but only consumed when an order is placed
+// (redeem), and handed back if that order is cancelled or its payment fails (release).
+
+export const findCoupon = async (code, session = null) => {
+    if (!code) return null;
+
+    const coupon = await Coupon.findOne({ code: code.toUpperCase() }).session(session);
+    if (!coupon) throw createError(404, 'Invalid coupon code');
+    return coupon;
+};
+
+// Apply every rule for this user and cart. Without cart lines (a bare total) only
+// unscoped coupons can be evaluated. Resolves to { discount, shippingDiscount, allocations }.
+const evaluateCoupon = async (coupon, { user, lines, subtotal, shippingCost = 0, session = null }) => {
+    if (!lines && coupon.isScoped()) {
+        throw createError(400, 'Send your cart items to check this coupon');
+    }
+    const cartLines = lines || [{ product: null, price: subtotal, quantity: 1 }];
+
+    const isFirstOrder = coupon.firstOrderOnly
+        ? !(await Order.exists({ user: user._id, status: { $nin: ['Cancelled', 'Payment Expired'] } }).session(session))
+        : true;
+
+    const reason = coupon.getIneligibilityReason({ user, subtotal, isFirstOrder });
+    if (reason) throw createError(400, reason);
+
+    const result = coupon.applyCoupon(cartLines, { shippingCost });
+    if (result.discount + result.shippingDiscount <= 0) throw createError(400, 'Coupon does not apply to any item in your cart');
+    return result;
+};
+
+// Side-effect-free check; resolves to the coupon and the discount it would give
+export const previewCoupon = async ({ code, user, lines, subtotal, shippingCost, session = null }) => {
+    if (!user) throw createError(401, 'Authentication required for coupon use');
+
+    const coupon = await findCoupon(code, session);
+    const { discount, shippingDiscount, allocations } = await evaluateCoupon(coupon, {
+        user, lines, subtotal, shippingCost, session
+    });
+
+    return { coupon, discount, shippingDiscount, allocations };
+};
+
+// Consume one use for `orderId`. Must run in the order's transaction: the rules are
+// re-checked on a fresh read and the guarded update makes a concurrent redeem of the
+// last use fail instead of overshooting `totalCoupons`.
+export const redeemCoupon = async ({ couponId, user, lines, subtotal, shippingCost, orderId, session }) => {
+    const coupon = await Coupon.findById(couponId).session(session);
+    if (!coupon) throw createError(404, 'Invalid coupon code');
+
+    const result = await evaluateCoupon(coupon, { user, lines, subtotal, shippingCost, session });
+    const discount = result.discount + result.shippingDiscount;
+
+    const hasUsage = coupon.usedBy.some(u => u.userId?.equals(user._id));
+    const { modifiedCount } = await Coupon.updateOne(
+        {
+            _id: coupon._id,
+            usedCoupons: coupon.usedCoupons,
+            'redemptions.order': { $ne: orderId }
+        },
+        {
+            $inc: {
+                usedCoupons: 1,
+                ...(hasUsage && { 'usedBy.$[usage].timesUsed': 1 })
+            },
+            $push: {
+                redemptions: { order: orderId, user: user._id, discount },
+                ...(!hasUsage && { usedBy: { userId: user._id, timesUsed: 1 } })
+            }
+        },
+        {
+            session,
+            ...(hasUsage && { arrayFilters: [{ 'usage.userId': user._id }] })
+        }
+    );
+
+    if (modifiedCount === 0) throw createError(409, 'Coupon was just used up, please try again');
+    return coupon;
+};
+
+// Undo the redemption made for `orderId`, if any
+export const releaseCoupon = async (orderId, session = null) => {
+    const coupon = await Coupon.findOne({ 'redemptions.order': orderId }).session(session);
+    if (!coupon) return null;
+
+    const redemption = coupon.redemptions.find(r => r.order.equals(orderId));
+    await Coupon.updateOne(
+        { _id: coupon._id, 'redemptions.order': orderId },
+        {
+            $pull: { redemptions: { order: orderId } },
+            $inc: { usedCoupons: -1, 'usedBy.$[usage].timesUsed': -1 }
+        },
+        { session, arrayFilters: [{ 'usage.userId': redemption.user, 'usage.timesUsed': { $gt: 0 } }] }
+    );
+    return coupon;
+};
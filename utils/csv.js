@@ -0,0 +1,14 @@
+// Quote a value for CSV when it contains a delimiter, quote or line break. Text that
+// a spreadsheet would run as a formula is prefixed with an apostrophe.
+const escapeCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize `rows` (plain objects) with a header line taken from `columns`
+export const toCsv = (rows, columns) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column])).join(','))
+].join('\r\n');
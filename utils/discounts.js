@@ -0,0 +1,83 @@
+// Discount math shared by coupons and automatic promotions. A rule is any document
+// with discountType, discountValue, maxDiscount, buyQuantity, getQuantity and the
+// applicableProducts / applicableCategories scope lists.
+import { roundMoney } from './pricing.js';
+
+const idOf = (value) => value?._id || value;
+
+export const isScoped = (rule) =>
+    rule.applicableProducts?.length > 0 || rule.applicableCategories?.length > 0;
+
+// Whether a cart line ({ product, categories }) falls inside the rule's scope
+export const appliesToLine = (rule, line) => {
+    if (!isScoped(rule)) return true;
+
+    const productId = idOf(line.product);
+    if (rule.applicableProducts.some(id => id.equals(productId))) return true;
+    return (line.categories || []).some(category =>
+        rule.applicableCategories.some(id => id.equals(idOf(category)))
+    );
+};
+
+// Every full group of buy + get units frees `get` units; the cheapest units are the free ones
+const applyBuyXGetY = (rule, eligible) => {
+    const totalUnits = eligible.reduce((sum, line) => sum + line.quantity, 0);
+    let freeUnits = Math.floor(totalUnits / (rule.buyQuantity + rule.getQuantity)) * rule.getQuantity;
+    const percentOff = Math.min(rule.discountValue ?? 100, 100) / 100;
+
+    const allocations = [];
+    [...eligible]
+        .sort((a, b) => a.price - b.price)
+        .forEach(line => {
+            if (freeUnits <= 0) return;
+            const units = Math.min(line.quantity, freeUnits);
+            freeUnits -= units;
+            allocations.push({
+                product: idOf(line.product),
+                variant: line.variant,
+                discount: roundMoney(units * line.price * percentOff)
+            });
+        });
+
+    return {
+        discount: roundMoney(allocations.reduce((sum, a) => sum + a.discount, 0)),
+        allocations
+    };
+};
+
+// Discount for a cart of lines ({ product, categories, price, quantity }), split
+// across the lines it applies to in proportion to their value. Free shipping is
+// reported separately since it comes off the shipping fee, not the items.
+// Returns { discount, shippingDiscount, allocations: [{ product, variant, discount }] }.
+export const calculateDiscount = (rule, lines, { shippingCost = 0 } = {}) => {
+    const eligible = lines.filter(line => appliesToLine(rule, line));
+
+    if (rule.discountType === 'free_shipping') {
+        return { discount: 0, shippingDiscount: eligible.length ? shippingCost : 0, allocations: [] };
+    }
+    if (rule.discountType === 'bxgy') {
+        return { ...applyBuyXGetY(rule, eligible), shippingDiscount: 0 };
+    }
+
+    const eligibleTotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+    let discount = rule.discountType === 'percentage'
+        ? (eligibleTotal * rule.discountValue) / 100
+        : rule.discountValue;
+    if (rule.discountType === 'percentage' && rule.maxDiscount) {
+        discount = Math.min(discount, rule.maxDiscount);
+    }
+    discount = roundMoney(Math.min(discount, eligibleTotal));
+
+    // The last line absorbs rounding so allocations sum exactly to the discount
+    let remaining = discount;
+    const allocations = eligible.map((line, index) => {
+        const share = index === eligible.length - 1
+            ? remaining
+            : roundMoney(discount * line.price * line.quantity / eligibleTotal);
+        remaining = roundMoney(remaining - share);
+        return { product: idOf(line.product), variant: line.variant, discount: share };
+    });
+
+    return { discount, shippingDiscount: 0, allocations };
+};
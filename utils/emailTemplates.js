@@ -18,4 +18,36 @@ export const passwordResetEmail = (name, url) => `
     </a>
     <p style="margin-top: 20px;">This link will expire in 10 minutes.</p>
   </div>
-`;
\ No newline at end of file
+`;
+export const lowStockDigestEmail = (lines) => `
+  <div style="max-width: 600px; margin: 20px auto; padding: 20px; font-family: Arial, sans-serif;">
+    <h2 style="color: #2d3748;">Low stock</h2>
+    <p>${lines.length} item${lines.length === 1 ? ' is' : 's are'} at or below the low-stock threshold:</p>
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr style="text-align: left; border-bottom: 1px solid #e2e8f0;">
+        <th style="padding: 6px;">Product</th>
+        <th style="padding: 6px;">SKU</th>
+        <th style="padding: 6px;">Stock</th>
+        <th style="padding: 6px;">Threshold</th>
+      </tr>
+      ${lines.map(line => `
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 6px;">${line.name}${line.size || line.color ? ` (${[line.size, line.color].filter(Boolean).join(', ')})` : ''}</td>
+        <td style="padding: 6px;">${line.sku || '-'}</td>
+        <td style="padding: 6px; color: ${line.stock === 0 ? '#e53e3e' : '#2d3748'};">${line.stock}</td>
+        <td style="padding: 6px;">${line.threshold}</td>
+      </tr>`).join('')}
+    </table>
+  </div>
+`;
+
+export const backInStockEmail = (name, url) => `
+  <div style="max-width: 600px; margin: 20px auto; padding: 20px; font-family: Arial, sans-serif;">
+    <h2 style="color: #2d3748;">Good news!</h2>
+    <p><strong>${name}</strong> is back in stock. Stock is limited, so don't wait too long:</p>
+    <a href="${url}" style="display: inline-block; padding: 10px 20px; background: #4299e1; color: white; text-decoration: none; border-radius: 4px;">
+      Shop Now
+    </a>
+    <p style="margin-top: 20px;">You're receiving this because you asked to be told when it was available again.</p>
+  </div>
+`;
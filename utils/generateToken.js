@@ -11,4 +11,15 @@ export const generateEmailVerificationToken = () =>
     crypto.randomBytes(32).toString('hex');
 
 export const generatePasswordResetToken = () =>
-    crypto.randomBytes(32).toString('hex');
\ No newline at end of file
+    crypto.randomBytes(32).toString('hex');
+
+// Lets whoever received the payment-expired email, guests included, refill a cart from
+// that order. An HMAC rather than a JWT so it can never pass as an access token.
+export const generateReorderToken = (orderId) =>
+    crypto.createHmac('sha256', process.env.JWT_ACCESS_SECRET).update(`reorder:${orderId}`).digest('hex');
+
+export const isReorderTokenFor = (token, orderId) => {
+    const expected = Buffer.from(generateReorderToken(orderId));
+    const received = Buffer.from(String(token || ''));
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
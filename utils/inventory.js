@@ -0,0 +1,186 @@
+import Product from '../models/Product.js';
+import InventoryMovement from '../models/InventoryMovement.js';
+import { createError } from './responseHandler.js';
+import { releaseCoupon } from './couponRedemption.js';
+import { reverseTenders } from './tenders.js';
+import { wasRestocked, markRestocked } from './backInStock.js';
+
+// Variant lines move the variant's stock and the product total together
+const stockUpdate = (item, change) => item.variant
+    ? {
+        filter: { _id: item.product, 'variants._id': item.variant },
+        update: { $inc: { 'variants.$.stock': change, stock: change } }
+    }
+    : {
+        filter: { _id: item.product },
+        update: { $inc: { stock: change } }
+    };
+
+// Stock left on the line after an update, read from the returned product
+const stockOf = (product, item) => item.variant
+    ? product.variants.find(v => v._id.equals(item.variant))?.stock
+    : product.stock;
+
+// Apply `delta` to one line and record it in the inventory ledger. `guard` adds a
+// condition (enough stock) to the update; resolves to null when it did not match.
+const moveStock = async (item, delta, { reason, reference, referenceModel, actor, note, guard = false, session = null }) => {
+    const { filter, update } = stockUpdate(item, delta);
+    if (guard) {
+        if (item.variant) {
+            delete filter['variants._id'];
+            filter.variants = { $elemMatch: { _id: item.variant, stock: { $gte: -delta } } };
+        } else {
+            filter.stock = { $gte: -delta };
+        }
+    }
+
+    const product = await Product.findOneAndUpdate(filter, update, {
+        new: true,
+        projection: { stock: 1, 'variants._id': 1, 'variants.stock': 1 },
+        session
+    });
+    if (!product) return null;
+
+    const stockAfter = stockOf(product, item);
+    if (delta > 0) {
+        const restocked = [];
+        if (wasRestocked(product.stock, delta)) restocked.push({ product: item.product, variant: null });
+        if (item.variant && wasRestocked(stockAfter, delta)) restocked.push({ product: item.product, variant: item.variant });
+        await markRestocked(restocked, session);
+    }
+
+    const [movement] = await InventoryMovement.create([{
+        product: item.product,
+        variant: item.variant,
+        sku: item.sku,
+        delta,
+        stockAfter,
+        reason,
+        reference,
+        referenceModel: reference ? referenceModel : undefined,
+        actor: actor?._id || actor,
+        note
+    }], { session });
+    return movement;
+};
+
+// Stock is taken with a guarded $inc so concurrent checkouts cannot both claim
+// the last units; the surrounding transaction gives it back if anything fails.
+export const reserveStock = async (orderItems, session, { reference, actor } = {}) => {
+    for (const item of orderItems) {
+        const movement = await moveStock(item, -item.quantity, {
+            reason: 'order',
+            reference,
+            referenceModel: 'Order',
+            actor,
+            guard: true,
+            session
+        });
+        if (!movement) {
+            throw createError(409, `Insufficient stock for ${item.name}`);
+        }
+    }
+};
+
+// Put the items back on the shelf: `reason` is 'cancel' for released orders, 'return' for received returns
+export const restoreStock = async (items, session = null, { reason = 'cancel', reference, referenceModel = 'Order', actor, note } = {}) => {
+    for (const item of items) {
+        await moveStock(item, item.quantity, { reason, reference, referenceModel, actor, note, session });
+    }
+};
+
+// Manual correction by an admin (stock count, damage, etc.). Stock can not go below zero.
+export const adjustStock = async ({ product, variant, sku, delta, actor, note, session = null }) => {
+    const movement = await moveStock({ product, variant, sku }, delta, {
+        reason: 'adjustment',
+        actor,
+        note,
+        guard: delta < 0,
+        session
+    });
+    if (!movement) throw createError(409, 'Adjustment would take stock below zero');
+    return movement;
+};
+
+// Stock per line, keyed by variant id ('product' for products without variants).
+// Taken before an edit and compared afterwards by recordStockEdit.
+export const snapshotStock = (product) => product.hasVariants()
+    ? Object.fromEntries(product.variants.map(v => [v._id, { variant: v._id, sku: v.sku, stock: v.stock }]))
+    : { product: { stock: product.stock } };
+
+// Record the stock an admin changed by editing the product or its variants directly
+export const recordStockEdit = async (before, product, { actor, note = 'Product edited', session = null } = {}) => {
+    const after = snapshotStock(product);
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    const movements = [...keys]
+        .map(key => ({
+            ...before[key],
+            ...after[key],
+            stockAfter: after[key]?.stock || 0,
+            delta: (after[key]?.stock || 0) - (before[key]?.stock || 0)
+        }))
+        .filter(line => line.delta !== 0)
+        .map(line => ({
+            product: product._id,
+            variant: line.variant,
+            sku: line.sku,
+            delta: line.delta,
+            stockAfter: line.stockAfter,
+            reason: 'adjustment',
+            actor: actor?._id || actor,
+            note
+        }));
+
+    if (!movements.length) return;
+    await InventoryMovement.insertMany(movements, { session });
+
+    // Let shoppers waiting on the product or one of its variants know it is back
+    const totalBefore = Object.values(before).reduce((sum, line) => sum + line.stock, 0);
+    const restocked = movements
+        .filter(m => m.variant && wasRestocked(m.stockAfter, m.delta))
+        .map(m => ({ product: product._id, variant: m.variant }));
+    if (wasRestocked(product.stock, product.stock - totalBefore)) {
+        restocked.push({ product: product._id, variant: null });
+    }
+    await markRestocked(restocked, session);
+};
+
+// Give back everything a cancelled order was holding: stock, the coupon use and any
+// gift card or store credit spent on it. The reversals are recorded on the order, so
+// the caller saves it afterwards.
+export const releaseOrderResources = async (order, session = null, { actor } = {}) => {
+    await restoreStock(order.items, session, { reason: 'cancel', reference: order._id, actor });
+
+    if (order.couponUsed) {
+        await releaseCoupon(order._id, session);
+    }
+    await reverseTenders(order, session);
+};
+
+// Every product line at or below its low-stock threshold, lowest stock first
+export const findLowStock = async ({ defaultThreshold = 0 } = {}) => {
+    const threshold = { $ifNull: ['$lowStockThreshold', defaultThreshold] };
+    const variants = { $ifNull: ['$variants', []] };
+
+    const products = await Product.find({
+        $expr: {
+            $or: [
+                { $and: [{ $eq: [{ $size: variants }, 0] }, { $lte: ['$stock', threshold] }] },
+                {
+                    $anyElementTrue: [{
+                        $map: {
+                            input: variants,
+                            as: 'v',
+                            in: { $and: ['$$v.isActive', { $lte: ['$$v.stock', threshold] }] }
+                        }
+                    }]
+                }
+            ]
+        }
+    }).select('name stock lowStockThreshold variants');
+
+    return products
+        .flatMap(product => product.getLowStockLines(defaultThreshold))
+        .sort((a, b) => a.stock - b.stock);
+};
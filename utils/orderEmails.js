@@ -0,0 +1,127 @@
+import transporter from '../config/email.js';
+import { generateReorderToken } from './generateToken.js';
+
+export const emailTemplates = {
+    orderConfirmation: (order) => `
+    <h1>Thank you for your order!</h1>
+    <p><strong>Order ID:</strong> ${order._id}</p>
+    <h3>Shipping Details:</h3>
+    <p>${Object.values(order.shippingAddress).filter(Boolean).join(', ')}</p>
+    <h3>Items (${order.items.length}):</h3>
+    <ul>
+      ${order.items.map(item => `
+        <li style="margin-bottom: 15px;">
+          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
+          ${item.name} × ${item.quantity} @ Rs ${item.price}
+        </li>
+      `).join('')}
+    </ul>
+    <h3>Total: Rs ${order.totalAmount}</h3>
+  `,
+
+    orderTracking: (order) => `
+    <h1>🚚 Your Order is on the way!</h1>
+    <p>We are excited to let you know that your order is on its way. Here are the details:</p>
+    <p><strong>Tracking ID:</strong> ${order.trackingId || 'Tracking id will be given soon'}</p>
+    <h3>Shipping Details:</h3>
+    <p>${Object.values(order.shippingAddress).filter(Boolean).join(', ')}</p>
+    <h3>Order Summary:</h3>
+    <ul>
+      ${order.items.map(item => `
+        <li style="margin-bottom: 15px;">
+          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
+          ${item.name} × ${item.quantity} @ Rs ${item.price}
+        </li>
+      `).join('')}
+    </ul>
+    <h3>Total: Rs ${order.totalAmount}</h3>
+    <p>You can view the full details of your order and track its progress by clicking the link below:</p>
+    <p><a href="${process.env.CLIENT_URL}/orders/${order._id}" style="color: blue;">View Order Details</a></p>
+    <p>Thank you for shopping with us!</p>
+    `,
+    orderShipped: (order) => `
+      <h1>🚚 Your Order Has Shipped!</h1>
+    <p>We are excited to let you know that your order is on its way. Here are the details:</p>
+    <p><strong>Tracking ID:</strong> ${order.trackingId || 'Tracking id will be given soon'}</p>
+    <h3>Shipping Details:</h3>
+    <p>${Object.values(order.shippingAddress).filter(Boolean).join(', ')}</p>
+    <h3>Order Summary:</h3>
+    <ul>
+      ${order.items.map(item => `
+        <li style="margin-bottom: 15px;">
+          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
+          ${item.name} × ${item.quantity} @ Rs ${item.price}
+        </li>
+      `).join('')}
+    </ul>
+    <h3>Total: Rs ${order.totalAmount}</h3>
+    <p>Thank you for shopping with us!</p>
+  `,
+
+    orderDelivered: (order) => `
+        <h2>🎉 Order Delivered!</h2>
+    <p>We hope you're enjoying your purchase!</p>
+    <h3>Order Summary:</h3>
+    <ul>
+      ${order.items.map(item => `
+        <li style="margin-bottom: 15px;">
+          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
+          ${item.name} × ${item.quantity} @ Rs ${item.price}
+        </li>
+      `).join('')}
+    </ul>
+    <h3>Total: Rs ${order.totalAmount}</h3>
+    <p>We would love to hear your feedback. Please leave a review.</p>
+    <p>Thank you for shopping with us!</p>
+  `,
+
+    orderCancelled: (order) => `
+  <h1>Your order has been cancelled</h1>
+    <p><strong>Order ID:</strong> ${order._id}</p>
+    ${order.cancellation?.reason ? `<p><strong>Reason:</strong> ${order.cancellation.reason}</p>` : ''}
+    <h3>Shipping Details:</h3>
+    <p>${Object.values(order.shippingAddress).filter(Boolean).join(', ')}</p>
+    <h3>Items (${order.items.length}):</h3>
+    <ul>
+      ${order.items.map(item => `
+        <li style="margin-bottom: 15px;">
+          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
+          ${item.name} × ${item.quantity} @ Rs ${item.price}
+        </li>
+      `).join('')}
+    </ul>
+    <h3>Total: Rs ${order.totalAmount}</h3>
+    <p>If you have any questions, please contact our support team.</p>
+    `,
+
+    paymentExpired: (order) => `
+  <h1>We didn't receive your payment</h1>
+    <p><strong>Order ID:</strong> ${order._id}</p>
+    <p>Your order was waiting for payment and has now expired, so the items have been released.</p>
+    <h3>Items (${order.items.length}):</h3>
+    <ul>
+      ${order.items.map(item => `
+        <li style="margin-bottom: 15px;">
+          ${item.image ? `<img src="${item.image}" style="height: 50px; margin-right: 10px;">` : ''}
+          ${item.name} × ${item.quantity} @ Rs ${item.price}
+        </li>
+      `).join('')}
+    </ul>
+    <h3>Total: Rs ${order.totalAmount}</h3>
+    <p>Still want them? This link puts the items back in your cart so you can check out and pay again, while they are in stock:</p>
+    <p><a href="${process.env.CLIENT_URL}/reorder/${order._id}?token=${generateReorderToken(order._id)}" style="color: blue;">Pay for these items again</a></p>
+    `
+};
+
+export const sendOrderEmail = async ({ email, subject, template, order }) => {
+    try {
+        await transporter.sendMail({
+            from: `<${process.env.EMAIL_USER}>`,
+            to: email,
+            subject,
+            html: emailTemplates[template](order)
+        });
+    } catch (error) {
+        console.error('Email Error:', error);
+    }
+};
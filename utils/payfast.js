@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+
+// PayFast signs fields in the order its docs list them, not alphabetically:
+// https://developers.payfast.co.za/docs#step_2_signature
+const CHECKOUT_FIELD_ORDER = [
+    'merchant_id', 'merchant_key', 'return_url', 'cancel_url', 'notify_url',
+    'name_first', 'name_last', 'email_address', 'cell_number',
+    'm_payment_id', 'amount', 'item_name', 'item_description',
+    'custom_int1', 'custom_int2', 'custom_int3', 'custom_int4', 'custom_int5',
+    'custom_str1', 'custom_str2', 'custom_str3', 'custom_str4', 'custom_str5',
+    'email_confirmation', 'confirmation_address', 'payment_method'
+];
+
+const DEFAULT_VALIDATE_URL = 'https://www.payfast.co.za/eng/query/validate';
+const SANDBOX_VALIDATE_URL = 'https://sandbox.payfast.co.za/eng/query/validate';
+
+// Mirrors PHP urlencode(): uppercase hex, spaces as '+', and !'()*~ escaped too
+const encode = (value) => encodeURIComponent(String(value).trim())
+    .replace(/[!'()*~]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/%20/g, '+');
+
+// Build `key=value&...` from the given keys in order. Checkout payloads drop
+// blank fields; ITN strings keep every posted field, blank or not.
+export const buildParamString = (data, keys = Object.keys(data), { skipBlank = true } = {}) => keys
+    .filter(key => key !== 'signature')
+    .filter(key => !skipBlank || (data[key] !== undefined && data[key] !== null && String(data[key]).trim() !== ''))
+    .map(key => `${key}=${encode(data[key] ?? '')}`)
+    .join('&');
+
+export const generateSignature = (data, keys, { passphrase = process.env.PAYFAST_PASSPHRASE, skipBlank = true } = {}) => {
+    let paramString = buildParamString(data, keys, { skipBlank });
+    if (passphrase) paramString += `&passphrase=${encode(passphrase)}`;
+
+    return crypto.createHash('md5').update(paramString).digest('hex');
+};
+
+// Redirect payload for sending the customer to PayFast checkout
+export const generatePayfastPayload = (order) => {
+    const data = {
+        merchant_id: process.env.PAYFAST_MERCHANT_ID,
+        merchant_key: process.env.PAYFAST_MERCHANT_KEY,
+        return_url: process.env.PAYFAST_RETURN_URL,
+        cancel_url: process.env.PAYFAST_CANCEL_URL,
+        notify_url: process.env.PAYFAST_NOTIFY_URL,
+        email_address: order.shippingAddress?.email,
+        m_payment_id: order._id.toString(),
+        amount: order.getAmountDue().toFixed(2),
+        item_name: `Order #${order._id}`
+    };
+
+    const keys = CHECKOUT_FIELD_ORDER.filter(key => key in data);
+    const signature = generateSignature(data, keys);
+    const query = `${buildParamString(data, keys)}&signature=${signature}`;
+
+    return {
+        redirectUrl: `${process.env.PAYFAST_URL}?${query}`,
+        status: 'pending'
+    };
+};
+
+// ITN signatures cover the posted fields in the order PayFast sent them
+export const verifySignature = (data) => {
+    if (!data.signature) return false;
+
+    const expected = Buffer.from(generateSignature(data, Object.keys(data), { skipBlank: false }));
+    const received = Buffer.from(String(data.signature));
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+export const verifyMerchant = (data) =>
+    Boolean(process.env.PAYFAST_MERCHANT_ID) && data.merchant_id === process.env.PAYFAST_MERCHANT_ID;
+
+export const amountsMatch = (amountGross, expected) =>
+    Math.abs(Number(amountGross) - Number(expected)) <= 0.01;
+
+// Server-to-server confirmation that PayFast really sent this ITN
+const defaultValidator = async (data) => {
+    const url = process.env.PAYFAST_VALIDATE_URL
+        || (process.env.PAYFAST_SANDBOX === 'true' ? SANDBOX_VALIDATE_URL : DEFAULT_VALIDATE_URL);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: buildParamString(data, Object.keys(data), { skipBlank: false })
+    });
+    const text = await response.text();
+    return text.trim() === 'VALID';
+};
+
+let validator = defaultValidator;
+
+// Replace the validate callback, e.g. with a local mock in tests
+export const setPayfastValidator = (fn) => {
+    validator = fn || defaultValidator;
+};
+
+export const validateWithPayfast = (data) => validator(data);
+
+// Run every ITN check except the order lookup; resolves to an error message or null
+export const checkNotification = async (data, order) => {
+    if (!verifySignature(data)) return 'Invalid signature';
+    if (!verifyMerchant(data)) return 'Merchant mismatch';
+    if (!amountsMatch(data.amount_gross, order.getAmountDue())) return 'Amount mismatch';
+    if (!(await validateWithPayfast(data))) return 'Notification could not be validated';
+    return null;
+};
@@ -0,0 +1,24 @@
+import { createError } from '../responseHandler.js';
+
+// Cash on delivery: nothing to charge up front, the courier collects on delivery
+const codProvider = {
+    name: 'COD',
+    label: 'Cash on Delivery',
+    requiresPrepayment: false,
+
+    createPayment: async () => ({ status: 'pending' }),
+
+    handleWebhook: async () => {
+        throw createError(400, 'Cash on delivery has no payment notifications');
+    },
+
+    // Cash refunds are paid out by hand; this only acknowledges them for the ledger
+    refund: async ({ reference }) => ({ reference, status: 'succeeded' }),
+
+    getStatus: async (order) => ({
+        status: order.capturedAmount(order.paymentMethod) > 0 ? 'paid' : 'pending',
+        gatewayStatus: null
+    })
+};
+
+export default codProvider;
@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import Settings from '../../models/settings.js';
+import { createError } from '../responseHandler.js';
+import codProvider from './codProvider.js';
+import payfastProvider from './payfastProvider.js';
+import stripeProvider from './stripeProvider.js';
+
+// A payment provider is an object with:
+//   name, label          - identifier stored in Order.paymentMethod, and a display name
+//   requiresPrepayment   - true when the order waits in 'Pending Payment' until paid
+//   createPayment(order)            -> { id?, status, redirectUrl?, clientSecret? }
+//   handleWebhook(req)              -> { orderId, paymentId, status, gatewayStatus, amount, payload },
+//                                      status being 'paid' | 'failed' | 'pending'; null for events to ignore
+//   refund({ order, amount, reason, reference, idempotencyKey }) -> { reference, status }
+//   getStatus(order)                -> { status, gatewayStatus }
+// New wallets (JazzCash, Easypaisa, ...) only need a module here and a registerProvider call.
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+    providers.set(provider.name, provider);
+};
+
+export const getProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider) throw createError(400, `Unknown payment method: ${name}`);
+    return provider;
+};
+
+export const listProviders = () => [...providers.values()];
+
+export const getEnabledProviders = async () => {
+    const settings = await Settings.findOne();
+    const enabled = settings?.enabledPaymentMethods || ['COD', 'PayFast'];
+    return listProviders().filter(p => enabled.includes(p.name));
+};
+
+export const getEnabledProvider = async (name) => {
+    const provider = (await getEnabledProviders()).find(p => p.name === name);
+    if (!provider) throw createError(400, `Payment method ${name || '(none)'} is not available`);
+    return provider;
+};
+
+// Local stand-in for gateway refunds in development and tests; never touches the network
+const stubRefund = async ({ idempotencyKey }) => ({
+    reference: `stub_${idempotencyKey || crypto.randomBytes(8).toString('hex')}`,
+    status: 'succeeded'
+});
+
+export const refundWithProvider = (name, options) => {
+    const provider = getProvider(name);
+    if (process.env.REFUND_GATEWAY === 'stub' && provider.requiresPrepayment) return stubRefund(options);
+    return provider.refund(options);
+};
+
+[codProvider, payfastProvider, stripeProvider].forEach(registerProvider);
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Order from '../../models/Order.js';
+import { createError } from '../responseHandler.js';
+import { generatePayfastPayload, checkNotification } from '../payfast.js';
+
+const STATUS_MAP = {
+    COMPLETE: 'paid',
+    FAILED: 'failed',
+    CANCELLED: 'failed',
+    PENDING: 'pending'
+};
+
+// PayFast Refunds API: https://developers.payfast.co.za/api#refunds
+const requestRefund = async ({ paymentId, amount, reason }) => {
+    const headers = {
+        'merchant-id': process.env.PAYFAST_MERCHANT_ID,
+        version: 'v1',
+        timestamp: new Date().toISOString().split('.')[0]
+    };
+    const body = {
+        amount: Math.round(amount * 100), // in cents
+        reason: reason || 'Refund',
+        notify_buyer: 1
+    };
+
+    // Unlike checkout and ITN, API signatures use alphabetically sorted fields
+    const signed = { ...headers, ...body };
+    if (process.env.PAYFAST_PASSPHRASE) signed.passphrase = process.env.PAYFAST_PASSPHRASE;
+    const signature = crypto.createHash('md5')
+        .update(Object.keys(signed).sort()
+            .map(key => `${key}=${encodeURIComponent(String(signed[key]).trim()).replace(/%20/g, '+')}`)
+            .join('&'))
+        .digest('hex');
+
+    const baseUrl = process.env.PAYFAST_API_URL || 'https://api.payfast.co.za';
+    const testing = process.env.PAYFAST_SANDBOX === 'true' ? '?testing=true' : '';
+    const response = await fetch(`${baseUrl}/refunds/${paymentId}${testing}`, {
+        method: 'POST',
+        headers: { ...headers, signature, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw createError(502, `PayFast refund failed: ${result.data?.message || response.statusText}`);
+    }
+    return { reference: result.data?.refund_id?.toString() || paymentId, status: 'succeeded' };
+};
+
+const payfastProvider = {
+    name: 'PayFast',
+    label: 'PayFast',
+    requiresPrepayment: true,
+
+    createPayment: async (order) => generatePayfastPayload(order),
+
+    // ITN: signature, merchant, amount and server-side validation must all pass
+    handleWebhook: async (req) => {
+        const data = { ...req.body };
+        if (!mongoose.isValidObjectId(data.m_payment_id)) throw createError(400, 'Invalid payment reference');
+
+        const order = await Order.findById(data.m_payment_id).select('totalAmount tenders');
+        if (!order) throw createError(404, 'Order not found');
+
+        const problem = await checkNotification(data, order);
+        if (problem) throw createError(400, problem);
+
+        return {
+            orderId: order._id,
+            paymentId: data.pf_payment_id,
+            status: STATUS_MAP[data.payment_status] || 'pending',
+            gatewayStatus: data.payment_status,
+            amount: Number(data.amount_gross),
+            payload: data
+        };
+    },
+
+    refund: async ({ order, amount, reason }) =>
+        requestRefund({ paymentId: order.paymentResult.id, amount, reason }),
+
+    getStatus: async (order) => ({
+        status: STATUS_MAP[order.paymentResult?.status] || 'pending',
+        gatewayStatus: order.paymentResult?.status || null
+    })
+};
+
+export default payfastProvider;
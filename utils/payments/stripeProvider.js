@@ -0,0 +1,84 @@
+import Stripe from 'stripe';
+import { createError } from '../responseHandler.js';
+
+const STATUS_MAP = {
+    succeeded: 'paid',
+    canceled: 'failed',
+    requires_payment_method: 'pending',
+    requires_confirmation: 'pending',
+    requires_action: 'pending',
+    processing: 'pending'
+};
+
+// Created on first use so the app still boots without Stripe keys
+let client;
+const getClient = () => {
+    if (!process.env.STRIPE_SECRET_KEY) throw createError(500, 'Stripe is not configured');
+    client = client || new Stripe(process.env.STRIPE_SECRET_KEY);
+    return client;
+};
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const stripeProvider = {
+    name: 'Stripe',
+    label: 'Card (Stripe)',
+    requiresPrepayment: true,
+
+    createPayment: async (order) => {
+        const intent = await getClient().paymentIntents.create({
+            amount: toMinorUnits(order.getAmountDue()),
+            currency: process.env.STRIPE_CURRENCY || 'pkr',
+            metadata: { orderId: order._id.toString() }
+        }, { idempotencyKey: `order-${order._id}` });
+
+        return { id: intent.id, status: intent.status, clientSecret: intent.client_secret };
+    },
+
+    // Needs the unparsed body, kept by the express.json verify hook in app.js
+    handleWebhook: async (req) => {
+        let event;
+        try {
+            event = getClient().webhooks.constructEvent(
+                req.rawBody,
+                req.headers['stripe-signature'],
+                process.env.STRIPE_WEBHOOK_SECRET
+            );
+        } catch (error) {
+            throw createError(400, `Invalid Stripe signature: ${error.message}`);
+        }
+
+        // A failed attempt can still be retried on the same intent, so only these settle the order
+        const intent = event.data.object;
+        const status = {
+            'payment_intent.succeeded': 'paid',
+            'payment_intent.canceled': 'failed'
+        }[event.type];
+        if (!status || !intent.metadata?.orderId) return null;
+
+        return {
+            orderId: intent.metadata.orderId,
+            paymentId: intent.id,
+            status,
+            gatewayStatus: intent.status,
+            amount: intent.amount_received / 100,
+            payload: { id: event.id, type: event.type }
+        };
+    },
+
+    refund: async ({ order, amount, idempotencyKey }) => {
+        const refund = await getClient().refunds.create({
+            payment_intent: order.paymentResult.id,
+            amount: toMinorUnits(amount)
+        }, { idempotencyKey });
+
+        return { reference: refund.id, status: refund.status === 'failed' ? 'failed' : 'succeeded' };
+    },
+
+    getStatus: async (order) => {
+        const intent = await getClient().paymentIntents.retrieve(order.paymentResult.id);
+        return { status: STATUS_MAP[intent.status] || 'pending', gatewayStatus: intent.status };
+    }
+};
+
+export default stripeProvider;
@@ -0,0 +1,142 @@
+import Product from '../models/Product.js';
+import Settings from '../models/settings.js';
+import { createError } from './responseHandler.js';
+import { previewCoupon } from './couponRedemption.js';
+import { getLivePromotions, selectPromotions, netLines } from './promotions.js';
+
+// Round to paisa so totals never carry floating point noise
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Turn `{ id, variantId, quantity }` cart entries into priced order lines using current
+// Product data. Products sold in variants need the variant; price and stock come from it.
+export const buildLineItems = async (items, session = null) => {
+    if (!items?.length) throw createError(400, 'No order items specified');
+
+    const products = await Product.find({ _id: { $in: items.map(i => i.id) } }).session(session);
+
+    return items.map(item => {
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw createError(400, `Invalid quantity for product ${item.id}`);
+        }
+
+        const product = products.find(p => p._id.equals(item.id));
+        if (!product) throw createError(404, `Product not found: ${item.id}`);
+
+        const variant = resolveVariant(product, item.variantId);
+        const stock = variant ? variant.stock : product.stock;
+        if (stock < quantity) {
+            throw createError(409, `Insufficient stock for ${describeLine(product, variant)}. Available: ${stock}`);
+        }
+
+        return {
+            product: product._id,
+            variant: variant?._id,
+            sku: variant?.sku,
+            size: variant?.size,
+            color: variant?.color,
+            name: product.name,
+            quantity,
+            price: variant ? variant.price : product.price,
+            image: variant?.images?.[0]?.url || product.images?.[0]?.url,
+            categories: product.categories
+        };
+    });
+};
+
+export const resolveVariant = (product, variantId) => {
+    if (!product.hasVariants()) {
+        if (variantId) throw createError(400, `${product.name} has no variants`);
+        return null;
+    }
+
+    if (!variantId) throw createError(400, `Choose a size or color for ${product.name}`);
+    const variant = product.findVariant(variantId);
+    if (!variant || !variant.isActive) throw createError(404, `Variant not found for ${product.name}`);
+    return variant;
+};
+
+// e.g. "Steel Flask (2L, red)"
+export const describeLine = (product, variant) => {
+    const options = [variant?.size, variant?.color].filter(Boolean);
+    return options.length ? `${product.name} (${options.join(', ')})` : product.name;
+};
+
+// Cart lines and order items are identified by product plus variant
+export const isSameLine = (a, b) =>
+    String(a.product?._id || a.product) === String(b.product?._id || b.product) &&
+    String(a.variant || '') === String(b.variant || '');
+
+export const getShippingFee = async (session = null) => {
+    const settings = await Settings.findOne().session(session);
+    return settings?.shippingFee || 0;
+};
+
+// Compute the full checkout breakdown on the server; client-sent amounts are never trusted
+export const quoteOrder = async ({ items, couponCode, user, session = null }) => {
+    const lineItems = await buildLineItems(items, session);
+    const subtotal = roundMoney(lineItems.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    const shippingCost = roundMoney(await getShippingFee(session));
+
+    // Automatic promotions go first; a typed coupon only combines with those that allow it
+    const livePromotions = await getLivePromotions(session);
+    const promotions = selectPromotions(
+        couponCode ? livePromotions.filter(p => p.combinesWithCoupons) : livePromotions,
+        { lines: lineItems, subtotal, shippingCost }
+    );
+    promotions.applied.forEach(({ allocations }) => addLineDiscounts(lineItems, allocations));
+    const promotionShipping = roundMoney(promotions.applied.reduce((sum, a) => sum + a.shippingDiscount, 0));
+
+    // The coupon works on what the promotions left, and is redeemed against the same basis
+    const couponBasis = {
+        lines: netLines(lineItems),
+        subtotal,
+        shippingCost: roundMoney(shippingCost - promotionShipping)
+    };
+
+    // Checked here without being consumed; createOrder redeems it with the order
+    const { coupon = null, discount = 0, shippingDiscount = 0, allocations = [] } = couponCode
+        ? await previewCoupon({ code: couponCode, user, ...couponBasis, session })
+        : {};
+    addLineDiscounts(lineItems, allocations);
+
+    // Which promotion produced which part of the discount, kept on the order for reporting
+    const discounts = promotions.applied.map(({ promotion, discount: amount, shippingDiscount: shippingAmount }) => ({
+        source: 'promotion',
+        promotion: promotion._id,
+        name: promotion.name,
+        type: promotion.discountType,
+        amount: roundMoney(amount),
+        shippingAmount: roundMoney(shippingAmount)
+    }));
+    if (coupon) {
+        discounts.push({
+            source: 'coupon',
+            coupon: coupon._id,
+            code: coupon.code,
+            type: coupon.discountType,
+            amount: roundMoney(discount),
+            shippingAmount: roundMoney(shippingDiscount)
+        });
+    }
+    const totalDiscount = roundMoney(discounts.reduce((sum, d) => sum + d.amount + d.shippingAmount, 0));
+
+    return {
+        items: lineItems,
+        subtotal,
+        shippingCost,
+        discount: totalDiscount,
+        discounts,
+        totalAmount: roundMoney(Math.max(subtotal + shippingCost - totalDiscount, 0)),
+        coupon,
+        couponBasis
+    };
+};
+
+// Add each allocation to its line's running discount
+const addLineDiscounts = (lineItems, allocations) => {
+    allocations.forEach(allocation => {
+        const line = lineItems.find(l => isSameLine(l, allocation));
+        line.discount = roundMoney((line.discount || 0) + allocation.discount);
+    });
+};
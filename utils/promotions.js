@@ -0,0 +1,72 @@
+import Promotion from '../models/Promotion.js';
+import { roundMoney } from './pricing.js';
+
+// Automatic promotions are chosen per cart: every exclusive promotion is tried on its
+// own and all stackable ones are tried together, and the option saving the customer
+// the most wins. Ties go to the option holding the highest-priority promotion.
+
+export const getLivePromotions = (session = null, now = new Date()) =>
+    Promotion.find({
+        isActive: true,
+        startAt: { $lte: now },
+        expiresAt: { $gte: now }
+    })
+        .sort({ priority: -1, createdAt: 1 })
+        .session(session);
+
+const lineKey = (line) => `${line.product?._id || line.product}:${line.variant || ''}`;
+
+// Lines priced net of discounts already given, so stacked rules never discount the same rupee twice
+export const netLines = (lines, lineDiscounts = {}) => lines.map(line => ({
+    ...line,
+    price: roundMoney(line.price - ((lineDiscounts[lineKey(line)] ?? line.discount ?? 0) / line.quantity))
+}));
+
+// Apply promotions one after another (highest priority first) on what is left of the cart
+const applyInSequence = (promotions, { lines, subtotal, shippingCost }) => {
+    const lineDiscounts = {};
+    let shippingLeft = shippingCost;
+    const applied = [];
+
+    promotions.forEach(promotion => {
+        if (!promotion.matchesCart(lines, subtotal)) return;
+
+        const result = promotion.applyPromotion(netLines(lines, lineDiscounts), { shippingCost: shippingLeft });
+        if (result.discount + result.shippingDiscount <= 0) return;
+
+        result.allocations.forEach(allocation => {
+            const key = lineKey(allocation);
+            lineDiscounts[key] = roundMoney((lineDiscounts[key] || 0) + allocation.discount);
+        });
+        shippingLeft = roundMoney(shippingLeft - result.shippingDiscount);
+        applied.push({ promotion, ...result });
+    });
+
+    const total = roundMoney(applied.reduce((sum, a) => sum + a.discount + a.shippingDiscount, 0));
+    return { applied, total };
+};
+
+// Best combination of `promotions` for the cart. Resolves to
+// { applied: [{ promotion, discount, shippingDiscount, allocations }], total }.
+export const selectPromotions = (promotions, { lines, subtotal, shippingCost = 0 }) => {
+    const stackable = promotions.filter(p => p.stackable);
+    const options = [
+        ...promotions.filter(p => !p.stackable).map(p => [p]),
+        ...(stackable.length ? [stackable] : [])
+    ];
+
+    const topPriority = (option) => Math.max(...option.map(p => p.priority || 0));
+
+    const best = options
+        .map(option => ({ option, ...applyInSequence(option, { lines, subtotal, shippingCost }) }))
+        .filter(candidate => candidate.total > 0)
+        .reduce((current, candidate) => {
+            if (!current || candidate.total > current.total) return candidate;
+            if (candidate.total === current.total && topPriority(candidate.option) > topPriority(current.option)) {
+                return candidate;
+            }
+            return current;
+        }, null);
+
+    return best ? { applied: best.applied, total: best.total } : { applied: [], total: 0 };
+};
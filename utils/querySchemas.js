@@ -0,0 +1,107 @@
+import { PRODUCT_SIZES } from '../models/Product.js';
+import { ORDER_STATUSES } from '../models/Order.js';
+import { escapeRegex } from './regex.js';
+
+// What each listing lets clients filter, sort and select on; see buildFilter in
+// utils/apiFeatures.js for the filter options. Unlisted query keys are ignored; a bad
+// value or operator on a listed one is a 400.
+
+export const PRODUCT_QUERY = {
+    filters: {
+        categories: { type: 'objectId', list: true },
+        sizes: { type: 'string', list: true, values: PRODUCT_SIZES },
+        price: { type: 'number' },
+        ratings: { type: 'number' },
+        numOfReviews: { type: 'number' },
+        stock: { type: 'number' },
+        slug: { type: 'string' },
+        createdAt: { type: 'date' },
+        // Variant attributes, combined in build()
+        color: { type: 'string', list: true, case: 'lower', ops: ['eq', 'in'], virtual: true },
+        sku: { type: 'string', list: true, case: 'upper', ops: ['eq', 'in'], virtual: true },
+        inStock: { type: 'boolean', ops: ['eq'], virtual: true }
+    },
+    sorts: ['price', 'ratings', 'numOfReviews', 'name', 'createdAt', 'stock'],
+    fields: ['name', 'description', 'price', 'sizes', 'variants', 'categories', 'stock', 'images', 'ratings', 'numOfReviews', 'slug', 'createdAt'],
+    defaultSort: '-createdAt',
+
+    // A product matches variant filters when one active variant has all of them
+    build(filter, { color, sku, inStock }) {
+        const variantFilter = {};
+        if (color !== undefined) variantFilter.color = color;
+        if (sku !== undefined) variantFilter.sku = sku;
+
+        if (Object.keys(variantFilter).length) {
+            if (filter.sizes) {
+                variantFilter.size = filter.sizes;
+                delete filter.sizes;
+            }
+            if (inStock) variantFilter.stock = { $gt: 0 };
+            filter.variants = { $elemMatch: { ...variantFilter, isActive: true } };
+        } else if (inStock) {
+            if (filter.stock === undefined) filter.stock = { $gt: 0 };
+            else filter.$and = [...(filter.$and || []), { stock: { $gt: 0 } }];
+        }
+        return filter;
+    }
+};
+
+export const ORDER_QUERY = {
+    filters: {
+        status: { type: 'string', list: true, values: ORDER_STATUSES },
+        paymentMethod: { type: 'string', list: true },
+        user: { type: 'objectId' },
+        email: { type: 'string', path: 'shippingAddress.email', case: 'lower' },
+        couponUsed: { type: 'objectId' },
+        totalAmount: { type: 'number' },
+        refundedAmount: { type: 'number' },
+        trackingId: { type: 'string' },
+        createdAt: { type: 'date' },
+        deliveredAt: { type: 'date' }
+    },
+    sorts: ['createdAt', 'updatedAt', 'totalAmount', 'status'],
+    defaultSort: '-createdAt'
+};
+
+export const USER_QUERY = {
+    filters: {
+        role: { type: 'string', values: ['user', 'admin'] },
+        isVerified: { type: 'boolean' },
+        storeCredit: { type: 'number' },
+        createdAt: { type: 'date' },
+        // Name or email contains the text
+        search: { type: 'string', ops: ['eq'], virtual: true }
+    },
+    sorts: ['name', 'email', 'createdAt', 'storeCredit'],
+    defaultSort: '-createdAt',
+
+    build(filter, { search }) {
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+        return filter;
+    }
+};
+
+// Admin moderation list; productId, userId and approved are the original parameter names
+export const REVIEW_QUERY = {
+    filters: {
+        productId: { type: 'objectId', path: 'product' },
+        userId: { type: 'objectId', path: 'user' },
+        approved: { type: 'boolean', path: 'isApproved' },
+        rating: { type: 'number' },
+        createdAt: { type: 'date' }
+    },
+    sorts: ['createdAt', 'rating'],
+    defaultSort: '-createdAt'
+};
+
+// Approved reviews shown on a product page
+export const PRODUCT_REVIEW_QUERY = {
+    filters: {
+        rating: { type: 'number' }
+    },
+    sorts: ['createdAt', 'rating'],
+    defaultSort: '-createdAt'
+};
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { createError } from './responseHandler.js';
+import { getProvider, refundWithProvider } from './payments/index.js';
+import { roundMoney } from './pricing.js';
+import { adjustStoreCredit } from './storeCredit.js';
+import { STORE_CREDIT, returnToTender } from './tenders.js';
+
+// Refunds sent to a provider that has not answered yet; their money is spoken for
+const pendingRefunds = (order, method) => order.transactions
+    .filter(t => t.type === 'refund' && t.status === 'pending' && (!method || t.method === method))
+    .reduce((sum, t) => sum + t.amount, 0);
+
+// Orders paid before the ledger existed have no charge entries: cash counts as collected
+// once delivered, PayFast once its notification said COMPLETE
+const isLegacyPaid = (order) => (getProvider(order.paymentMethod).requiresPrepayment
+    ? order.paymentResult?.status === 'COMPLETE'
+    : ['Delivered', 'Returned'].includes(order.status));
+
+// Money actually taken for the order, optionally through one method. Nothing for unpaid
+// orders, so a refund can never give back more than was received.
+const paidAmount = (order, method) => {
+    if (order.capturedAmount() > 0) return order.capturedAmount(method);
+    return isLegacyPaid(order) ? order.totalAmount : 0;
+};
+
+// Amount still available to refund
+export const getRefundableAmount = (order) =>
+    roundMoney(Math.max(paidAmount(order) - order.refundedAmount - pendingRefunds(order), 0));
+
+// What the payment provider itself can still give back
+const getProviderRefundable = (order) => {
+    const refunded = order.refundedVia(order.paymentMethod) + pendingRefunds(order, order.paymentMethod);
+    return roundMoney(Math.max(paidAmount(order, order.paymentMethod) - refunded, 0));
+};
+
+// Split a refund between the payment provider and the gift card or store credit
+// the order was paid with. The provider's share comes first.
+const planRefund = (order, value) => {
+    const providerShare = roundMoney(Math.min(value, getProviderRefundable(order)));
+    let remaining = roundMoney(value - providerShare);
+
+    const tenderShares = order.tenders.map(tender => {
+        const share = roundMoney(Math.min(remaining, tender.amount - order.refundedVia(tender.method)));
+        remaining = roundMoney(remaining - Math.max(share, 0));
+        return { tender, amount: share };
+    }).filter(({ amount }) => amount > 0);
+
+    if (remaining > 0) {
+        throw createError(400, `Only ${roundMoney(value - remaining)} can go back to the original payment; refund the rest as store credit`);
+    }
+    return { providerShare, tenderShares };
+};
+
+const markIfFullyRefunded = (order, actor) => {
+    if (order.refundedAmount >= order.totalAmount && order.canTransitionTo('Refunded')) {
+        order.changeStatus('Refunded', { actor, note: 'Order fully refunded' });
+    }
+};
+
+// Refund part or all of an order and record it in the ledger. Money goes back the
+// way it was paid, or entirely to the customer's store credit with `toStoreCredit`.
+// Run it inside the caller's transaction: balances are credited there, but the provider's
+// share is only recorded as a pending entry. Pass the result to settleProviderRefunds
+// once the transaction has committed. The caller saves the order.
+// Resolves to the ledger transactions created.
+export const refundOrder = async (order, { amount, actor, note, reference, toStoreCredit = false, session = null }) => {
+    if (!(paidAmount(order) > 0)) throw createError(400, 'Order has no captured payment to refund');
+
+    const value = roundMoney(Number(amount));
+    const refundable = getRefundableAmount(order);
+
+    if (!(value > 0) || value > refundable) {
+        throw createError(400, `Refund amount must be greater than 0 and at most ${refundable}`);
+    }
+
+    const transactions = [];
+    if (toStoreCredit) {
+        if (!order.user) throw createError(400, 'Guest orders cannot be refunded as store credit');
+
+        await adjustStoreCredit({ user: order.user, amount: value, reason: 'refund', order: order._id, actor, note, session });
+        transactions.push(order.recordTransaction({
+            type: 'refund',
+            amount: value,
+            method: STORE_CREDIT,
+            reference,
+            actor,
+            note
+        }));
+    } else {
+        const { providerShare, tenderShares } = planRefund(order, value);
+
+        for (const { tender, amount: share } of tenderShares) {
+            transactions.push(await returnToTender(order, tender, { amount: share, reason: 'refund', actor, note, session }));
+        }
+
+        if (providerShare > 0) {
+            transactions.push(order.recordTransaction({
+                type: 'refund',
+                amount: providerShare,
+                reference,
+                status: 'pending',
+                actor,
+                note
+            }));
+        }
+    }
+
+    markIfFullyRefunded(order, actor);
+    return transactions;
+};
+
+// Send the pending provider refunds among `transactions` to the gateway. Runs after
+// the refund's transaction has committed, so a retried transaction can never pay out
+// twice; each answer is then written in a transaction of its own. A refund the gateway
+// rejects is marked failed; when the outcome is unknown (no response) it stays pending
+// for reconciliation. Resolves to the order as last saved.
+export const settleProviderRefunds = async (order, transactions, { actor } = {}) => {
+    let settled = order;
+    for (const entry of transactions.filter(t => t.status === 'pending')) {
+        let result;
+        let failure;
+        try {
+            result = await refundWithProvider(entry.method, {
+                order: settled,
+                amount: entry.amount,
+                reason: entry.note,
+                reference: entry.reference,
+                idempotencyKey: `refund-${entry._id}`
+            });
+        } catch (error) {
+            if (!error.statusCode) throw error;
+            result = { status: 'failed' };
+            failure = error;
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                settled = await Order.findById(order._id).session(session);
+                settled.settleTransaction(entry._id, result);
+                markIfFullyRefunded(settled, actor);
+                await settled.save({ session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        if (failure) throw failure;
+    }
+    return settled;
+};
@@ -0,0 +1,2 @@
+// Match user input literally inside a RegExp
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
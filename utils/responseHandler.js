@@ -16,6 +16,13 @@ export const handleError = (res, statusCode, message) => {
     });
 };
 
+// Build an Error carrying an HTTP status, for helpers that throw instead of responding
+export const createError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
 
 
 
@@ -0,0 +1,110 @@
+import Product from '../models/Product.js';
+import { escapeRegex } from './regex.js';
+
+// Lower bounds (Rs) of the price facet buckets: each takes prices from its bound up to,
+// but not including, the next one; the last has no upper limit
+export const PRICE_BUCKETS = [0, 1000, 2500, 5000, 10000];
+
+// Shorter words only match exactly; one typo in three letters matches far too much
+const MIN_FUZZY_LENGTH = 4;
+const MAX_TERMS = 5;
+
+const searchTerms = (q) => String(q).toLowerCase().split(/\s+/).filter(Boolean).slice(0, MAX_TERMS);
+
+// Regex source matching `term` with at most one edit: a missing, extra, wrong or
+// swapped letter. "flsk" matches "flask", "falsk" and "flasks".
+export const fuzzyPattern = (term) => {
+    const chars = [...term];
+    if (chars.length < MIN_FUZZY_LENGTH) return escapeRegex(term);
+
+    const join = (parts) => parts.map(c => (c === '.' ? c : escapeRegex(c))).join('');
+    const patterns = new Set([join(chars)]);
+
+    for (let i = 0; i <= chars.length; i++) {
+        patterns.add(join([...chars.slice(0, i), '.', ...chars.slice(i)])); // missing letter
+        if (i === chars.length) break;
+
+        patterns.add(join([...chars.slice(0, i), '.', ...chars.slice(i + 1)])); // wrong letter
+        patterns.add(join([...chars.slice(0, i), ...chars.slice(i + 1)])); // extra letter
+        if (i < chars.length - 1) {
+            patterns.add(join([...chars.slice(0, i), chars[i + 1], chars[i], ...chars.slice(i + 2)])); // swapped
+        }
+    }
+
+    return [...patterns].join('|');
+};
+
+// Every word of `q` has to appear in the product name, allowing one typo per word
+export const fuzzyNameFilter = (q) => {
+    const terms = searchTerms(q);
+    if (!terms.length) return {};
+    return { $and: terms.map(term => ({ name: new RegExp(fuzzyPattern(term), 'i') })) };
+};
+
+// Names with a word starting with `q`, e.g. "fla" matches "Steel Flask"
+export const prefixNameFilter = (q) => ({
+    name: new RegExp(`(^|\\s)${escapeRegex(String(q).trim())}`, 'i')
+});
+
+// Counts per category, size, price bucket and star rating for the products matching
+// `searchFilter`. Each facet also applies every other filter but not its own
+// (`facetFilters.sizes` leaves out the sizes filter), so choosing one size still
+// shows how many products the other sizes would return.
+export const getProductFacets = async (searchFilter, facetFilters) => {
+    const match = (filter) => ({ $match: Product.find().cast(Product, filter) });
+
+    const [facets] = await Product.aggregate([
+        match(searchFilter),
+        {
+            $facet: {
+                categories: [
+                    match(facetFilters.categories),
+                    { $unwind: '$categories' },
+                    { $group: { _id: '$categories', count: { $sum: 1 } } },
+                    { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+                    { $unwind: '$category' },
+                    { $project: { _id: 0, category: '$_id', name: '$category.name', count: 1 } },
+                    { $sort: { count: -1, name: 1 } }
+                ],
+                sizes: [
+                    match(facetFilters.sizes),
+                    { $unwind: '$sizes' },
+                    { $group: { _id: '$sizes', count: { $sum: 1 } } },
+                    { $project: { _id: 0, size: '$_id', count: 1 } },
+                    { $sort: { size: 1 } }
+                ],
+                prices: [
+                    // The buckets cover every valid price, so $bucket needs no catch-all
+                    match({ $and: [facetFilters.prices, { price: { $gte: 0 } }] }),
+                    {
+                        $bucket: {
+                            groupBy: '$price',
+                            boundaries: [...PRICE_BUCKETS, Infinity],
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ],
+                ratings: [
+                    match(facetFilters.ratings),
+                    { $group: { _id: { $floor: { $ifNull: ['$ratings', 0] } }, count: { $sum: 1 } } },
+                    { $project: { _id: 0, rating: '$_id', count: 1 } },
+                    { $sort: { rating: -1 } }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        categories: facets.categories,
+        sizes: facets.sizes,
+        prices: facets.prices.map(({ _id, count }) => {
+            const index = PRICE_BUCKETS.indexOf(_id);
+            return { min: _id, max: PRICE_BUCKETS[index + 1] ?? null, count };
+        }),
+        // "4 stars & up" style counts, built from the per-star counts
+        ratings: facets.ratings.map(({ rating }) => ({
+            rating,
+            count: facets.ratings.filter(r => r.rating >= rating).reduce((sum, r) => sum + r.count, 0)
+        }))
+    };
+};
@@ -0,0 +1,37 @@
+import { escapeRegex } from './regex.js';
+
+const MAX_SLUG_LENGTH = 80;
+
+// Letters NFKD can't split into a base letter plus accent
+const TRANSLITERATIONS = {
+    ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', ł: 'l', þ: 'th', ı: 'i', '&': ' and ', '@': ' at '
+};
+
+// "Steel Flask – 1.5L (Crème)" -> "steel-flask-1-5l-creme"
+export const slugify = (text) => String(text ?? '')
+    .toLowerCase()
+    .replace(/[ßæœøđðłþı&@]/g, char => TRANSLITERATIONS[char])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+
+// `base`, or `base-2`, `base-3`... whichever no other document uses as its slug or
+// in its slug history, so old URLs never start pointing at a different document
+export const uniqueSlug = async (Model, base, { excludeId, session = null } = {}) => {
+    const root = base || 'item';
+    const pattern = new RegExp(`^${escapeRegex(root)}(-\\d+)?$`);
+
+    const taken = await Model.find({
+        _id: { $ne: excludeId },
+        $or: [{ slug: pattern }, { slugHistory: pattern }]
+    }).select('slug slugHistory').session(session);
+
+    const used = new Set(taken.flatMap(doc => [doc.slug, ...(doc.slugHistory || [])]));
+    if (!used.has(root)) return root;
+
+    let suffix = 2;
+    while (used.has(`${root}-${suffix}`)) suffix += 1;
+    return `${root}-${suffix}`;
+};
@@ -0,0 +1,45 @@
+import User from '../models/User.js';
+import StoreCreditTransaction from '../models/StoreCreditTransaction.js';
+import { createError } from './responseHandler.js';
+import { roundMoney } from './pricing.js';
+
+// Move a user's store credit by `amount` (negative to spend it) and log the change.
+// Spending is a guarded $inc, so two checkouts can't both use the same credit.
+export const adjustStoreCredit = async ({ user, amount, reason, order, actor, note, session = null }) => {
+    const value = roundMoney(Number(amount));
+    if (!value) throw createError(400, 'Store credit amount must be a non-zero number');
+
+    const userId = user?._id || user;
+    const filter = value < 0 ? { _id: userId, storeCredit: { $gte: -value } } : { _id: userId };
+    const updated = await User.findOneAndUpdate(filter, { $inc: { storeCredit: value } }, { new: true, session })
+        .select('storeCredit');
+    if (!updated) {
+        throw value < 0 ? createError(409, 'Insufficient store credit') : createError(404, 'User not found');
+    }
+
+    const [entry] = await StoreCreditTransaction.create([{
+        user: userId,
+        type: value < 0 ? 'debit' : 'credit',
+        amount: Math.abs(value),
+        balanceAfter: roundMoney(updated.storeCredit),
+        reason,
+        order,
+        actor: actor?._id,
+        note
+    }], { session });
+
+    return entry;
+};
+
+export const getStoreCreditStatement = async (userId, { limit = 50 } = {}) => {
+    const [user, transactions] = await Promise.all([
+        User.findById(userId).select('name email storeCredit'),
+        StoreCreditTransaction.find({ user: userId })
+            .sort('-createdAt')
+            .limit(limit)
+            .populate('order', 'totalAmount status createdAt')
+    ]);
+    if (!user) throw createError(404, 'User not found');
+
+    return { balance: roundMoney(user.storeCredit || 0), transactions };
+};
@@ -0,0 +1,147 @@
+import GiftCard from '../models/GiftCard.js';
+import User from '../models/User.js';
+import { createError } from './responseHandler.js';
+import { roundMoney } from './pricing.js';
+import { adjustStoreCredit } from './storeCredit.js';
+
+// Gift cards and store credit pay for part or all of an order next to the payment
+// provider. Each tender is also a charge in the order ledger (method GiftCard or
+// StoreCredit), so refunds and cancellations can send the money back where it came from.
+
+export const GIFT_CARD = 'GiftCard';
+export const STORE_CREDIT = 'StoreCredit';
+
+export const findGiftCard = async (code, session = null) => {
+    const giftCard = await GiftCard.findOne({ code: String(code).trim().toUpperCase() }).session(session);
+    if (!giftCard) throw createError(404, 'Invalid gift card code');
+
+    const reason = giftCard.getIneligibilityReason();
+    if (reason) throw createError(400, reason);
+    return giftCard;
+};
+
+// `useStoreCredit` is true for as much as needed, or a maximum amount
+const parseStoreCreditLimit = (useStoreCredit) => {
+    if (useStoreCredit === true || useStoreCredit === 'true') return Infinity;
+
+    const limit = Number(useStoreCredit);
+    if (!(limit > 0)) throw createError(400, 'useStoreCredit must be true or a positive amount');
+    return limit;
+};
+
+// How much of `total` each balance covers: the gift card first, then store credit
+const planTenders = async ({ total, giftCardCode, useStoreCredit, user, session }) => {
+    const tenders = [];
+    let remaining = total;
+
+    if (giftCardCode) {
+        const giftCard = await findGiftCard(giftCardCode, session);
+        const amount = roundMoney(Math.min(giftCard.balance, remaining));
+        if (amount > 0) {
+            tenders.push({ method: GIFT_CARD, giftCard: giftCard._id, code: giftCard.code, amount });
+            remaining = roundMoney(remaining - amount);
+        }
+    }
+
+    if (useStoreCredit && remaining > 0) {
+        if (!user) throw createError(401, 'Log in to use store credit');
+
+        const limit = parseStoreCreditLimit(useStoreCredit);
+        const account = await User.findById(user._id).select('storeCredit').session(session);
+        const amount = roundMoney(Math.min(account?.storeCredit || 0, remaining, limit));
+        if (amount > 0) tenders.push({ method: STORE_CREDIT, amount });
+    }
+
+    return tenders;
+};
+
+// Side-effect-free: what the balances would cover on an order of `totalAmount`
+export const previewTenders = async ({ totalAmount, giftCardCode, useStoreCredit, user, session = null }) => {
+    const tenders = await planTenders({ total: totalAmount, giftCardCode, useStoreCredit, user, session });
+    const tendered = tenders.reduce((sum, tender) => sum + tender.amount, 0);
+
+    return { tenders, amountDue: roundMoney(Math.max(totalAmount - tendered, 0)) };
+};
+
+// Spend the balances on a new order. Must run in the order's transaction; the
+// guarded updates make a concurrent spend of the same balance fail instead of overdraw.
+export const applyTenders = async (order, { giftCardCode, useStoreCredit, user, session }) => {
+    const tenders = await planTenders({ total: order.totalAmount, giftCardCode, useStoreCredit, user, session });
+
+    for (const tender of tenders) {
+        if (tender.method === GIFT_CARD) {
+            const { modifiedCount } = await GiftCard.updateOne(
+                { _id: tender.giftCard, balance: { $gte: tender.amount } },
+                {
+                    $inc: { balance: -tender.amount },
+                    $push: { transactions: { type: 'redeem', amount: tender.amount, order: order._id, actor: user?._id } }
+                },
+                { session }
+            );
+            if (modifiedCount === 0) throw createError(409, 'Gift card balance changed, please try again');
+        } else {
+            await adjustStoreCredit({
+                user,
+                amount: -tender.amount,
+                reason: 'order',
+                order: order._id,
+                actor: user,
+                session
+            });
+        }
+
+        order.tenders.push(tender);
+        order.recordTransaction({
+            type: 'charge',
+            amount: tender.amount,
+            method: tender.method,
+            reference: tender.code,
+            actor: user,
+            note: tender.method === GIFT_CARD ? `Gift card ${tender.code}` : 'Store credit'
+        });
+    }
+
+    return order.tenders;
+};
+
+// Put `amount` back on the gift card or store credit a tender was paid with and
+// record it as a refund on the order. The caller saves the order.
+export const returnToTender = async (order, tender, { amount, reason, actor, note, session = null }) => {
+    if (tender.method === GIFT_CARD) {
+        await GiftCard.updateOne(
+            { _id: tender.giftCard },
+            {
+                $inc: { balance: amount },
+                $push: { transactions: { type: reason, amount, order: order._id, actor: actor?._id, note } }
+            },
+            { session }
+        );
+    } else {
+        await adjustStoreCredit({ user: order.user, amount, reason, order: order._id, actor, note, session });
+    }
+
+    return order.recordTransaction({
+        type: 'refund',
+        amount,
+        method: tender.method,
+        reference: tender.code,
+        actor,
+        note
+    });
+};
+
+// Undo every tender of a cancelled order, minus anything already refunded to it.
+// Safe to call twice once the order is saved: the second call finds nothing outstanding.
+export const reverseTenders = async (order, session = null) => {
+    for (const tender of order.tenders) {
+        const outstanding = roundMoney(tender.amount - order.refundedVia(tender.method));
+        if (outstanding <= 0) continue;
+
+        await returnToTender(order, tender, {
+            amount: outstanding,
+            reason: 'reversal',
+            note: `Order ${order.status.toLowerCase()}`,
+            session
+        });
+    }
+};